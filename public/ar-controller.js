@@ -6,6 +6,7 @@
 // ============================================================================
 let currentARSystem = null;
 let capabilities = null;
+let preloadPromise = null; // In-flight scenario model preload (started with the tutorial)
 
 // ============================================================================
 // DOM ELEMENTS
@@ -15,7 +16,10 @@ const resetButton = document.getElementById('reset-button');
 const logoContainer = document.getElementById('logo-container');
 const tutorialOverlay = document.getElementById('tutorial-overlay');
 const tutorialContinueButton = document.getElementById('tutorial-continue-button');
+const completionStatus = document.getElementById('completion-status');
 const loadingOverlay = document.getElementById('loading-overlay');
+const loadingText = loadingOverlay ? loadingOverlay.querySelector('.loading-text') : null;
+const DEFAULT_LOADING_TEXT = loadingText ? loadingText.textContent : '';
 
 // ============================================================================
 // INITIALIZATION
@@ -31,11 +35,25 @@ async function initializeAR() {
     
     console.log('Initializing AR system:', capabilities.useWebXR ? 'WebXR' : 'None');
 
-    // If WebXR is not available, show a helpful message and bail out
+    // If WebXR is not available, open the inline 3D viewer instead (or explain and bail out)
     if (!capabilities.webxrSupported || !capabilities.useWebXR) {
         // Hide loading screen
         hideLoadingScreen();
         
+        if (window.FallbackViewer && await window.FallbackViewer.start()) {
+            currentARSystem = 'fallback';
+            if (startButton) {
+                startButton.classList.add('hidden');
+            }
+            if (logoContainer) {
+                logoContainer.classList.add('hidden');
+            }
+            if (window.Toast) {
+                window.Toast.info('AR is not supported on this device, so the hazards are shown in a 3D room instead.', '3D Viewer', 5000);
+            }
+            return;
+        }
+        
         const msg = 'WebXR immersive-ar is not supported on this device or browser.\n\n' +
             'Please open this experience in a WebXR-capable browser. On iOS, use the Variant Launch viewer; ' +
             'on Android, use Chrome.';
@@ -81,6 +99,10 @@ async function initializeAR() {
         }
         closeButton.classList.remove('hidden');
     }
+    const muteButton = document.getElementById('mute-button');
+    if (muteButton) {
+        muteButton.classList.remove('hidden');
+    }
     
     try {
         // Load and initialize WebXR
@@ -134,6 +156,10 @@ async function initializeAR() {
         if (closeButton) {
             closeButton.classList.add('hidden');
         }
+        const muteButton = document.getElementById('mute-button');
+        if (muteButton) {
+            muteButton.classList.add('hidden');
+        }
         
         throw error;
     }
@@ -326,6 +352,9 @@ function markTutorialAsShown() {
 }
 
 function showTutorial() {
+    // Start downloading scenario models now so the first placement doesn't stall
+    preloadScenarioAssets();
+    
     // Check if tutorial has already been shown in this session
     if (hasTutorialBeenShown()) {
         // Skip tutorial and go straight to AR initialization
@@ -396,15 +425,143 @@ function hideLoadingScreen() {
     if (loadingOverlay) {
         loadingOverlay.classList.add('hidden');
     }
+    if (loadingText) {
+        loadingText.textContent = DEFAULT_LOADING_TEXT;
+    }
+}
+
+/**
+ * Shows the loading overlay with a progress message
+ * @param {string} text - Message to show
+ * @param {number} percent - Progress (0-100)
+ */
+function showLoadingProgress(text, percent) {
+    if (loadingOverlay) {
+        loadingOverlay.classList.remove('hidden');
+    }
+    if (loadingText) {
+        loadingText.textContent = `${text} ${percent}%`;
+    }
+}
+
+// ============================================================================
+// ASSET PRELOADING
+// ============================================================================
+
+/**
+ * Preloads every scenario model into the ModelCache.
+ * Runs in the background while the tutorial is shown; if the loading overlay is
+ * visible (after Continue) it shows the combined download progress.
+ * @returns {Promise<void>} Resolves when all downloads have settled
+ */
+function preloadScenarioAssets() {
+    if (preloadPromise) {
+        return preloadPromise;
+    }
+    
+    if (!window.ScenarioManager || !window.ModelCache) {
+        console.warn('ScenarioManager or ModelCache not loaded - skipping model preload');
+        return Promise.resolve();
+    }
+    
+    // ?mode=image posters are decoded now too - the XR session is requested with them
+    if (new URLSearchParams(window.location.search).get('mode') === 'image') {
+        window.ScenarioManager.loadImageTargetBitmaps();
+    }
+    
+    preloadPromise = window.ScenarioManager.loadManifest()
+        .then(manifest => {
+            const urls = manifest.scenarios.map(scenario => scenario.model);
+            return window.ModelCache.preloadModels(urls, (percent) => {
+                // Only report while the loading overlay is up (the tutorial has its own UI)
+                if (loadingOverlay && !loadingOverlay.classList.contains('hidden') && loadingText) {
+                    loadingText.textContent = percent < 100 ? `Loading hazard models... ${percent}%` : DEFAULT_LOADING_TEXT;
+                }
+            });
+        })
+        .then(() => undefined)
+        .catch(error => {
+            console.warn('Scenario model preload failed:', error);
+        })
+        .finally(() => {
+            // Allow a later call to retry anything that failed (loaded models are cached)
+            preloadPromise = null;
+        });
+    
+    return preloadPromise;
+}
+
+// ============================================================================
+// COMPLETION STATUS
+// ============================================================================
+
+/**
+ * Lists every scenario on the start screen with its saved quiz status
+ * (passed, not passed yet, or not attempted). Hidden until a quiz has been finished.
+ * @returns {Promise<void>}
+ */
+async function renderCompletionStatus() {
+    if (!completionStatus || !window.ScenarioManager || !window.QuizSystem) {
+        return;
+    }
+    
+    let scenarios;
+    try {
+        scenarios = (await window.ScenarioManager.loadManifest()).scenarios;
+    } catch (error) {
+        console.warn('Could not load scenarios for the completion status:', error);
+        return;
+    }
+    
+    const completion = window.QuizSystem.getCompletionStatus();
+    const passedCount = scenarios.filter(scenario => completion[scenario.id] && completion[scenario.id].status === 'passed').length;
+    const attemptedCount = scenarios.filter(scenario => completion[scenario.id]).length;
+    
+    const summary = completionStatus.querySelector('.completion-summary');
+    const list = completionStatus.querySelector('.completion-list');
+    summary.textContent = `Progress: ${passedCount} of ${scenarios.length} hazards passed`;
+    list.innerHTML = '';
+    scenarios.forEach(scenario => {
+        const record = completion[scenario.id];
+        const status = record ? record.status : 'not-attempted';
+        const item = document.createElement('li');
+        item.className = `completion-item ${status}`;
+        
+        const name = document.createElement('span');
+        name.textContent = scenario.name || scenario.id;
+        const label = document.createElement('span');
+        label.className = 'completion-label';
+        if (!record) {
+            label.textContent = 'Not attempted';
+        } else {
+            label.textContent = `${status === 'passed' ? 'Passed' : 'Not passed'} (best ${record.bestPercent}%)`;
+        }
+        
+        item.appendChild(name);
+        item.appendChild(label);
+        list.appendChild(item);
+    });
+    
+    completionStatus.classList.toggle('hidden', attemptedCount === 0);
 }
 
 // ============================================================================
 // EVENT HANDLERS
 // ============================================================================
 
+// Keep the start screen's completion status current (quiz.js saves it before the event)
+window.addEventListener('quiz:complete', () => {
+    renderCompletionStatus();
+});
+renderCompletionStatus();
+
 if (startButton) {
     startButton.addEventListener('click', () => {
         console.log('Start AR button clicked');
+        // Browsers only start Web Audio from a user gesture - unlock it for hazard sounds now
+        if (window.HazardAudio) {
+            window.HazardAudio.unlock();
+        }
         showTutorial();
     });
 }
@@ -426,6 +583,8 @@ if (tutorialContinueButton) {
             hideTutorial();
             
             // Add a small delay to ensure UI updates
+            // (the model preload keeps running in the background - it is not awaited here
+            // because the XR session must be requested close to the user's tap)
             await new Promise(resolve => setTimeout(resolve, 50));
             
             await initializeAR();
@@ -488,6 +647,9 @@ if (resetButton) {
 window.ARController = {
     init: initializeAR,
     reset: resetAR,
+    preloadAssets: preloadScenarioAssets,
+    showLoadingProgress: showLoadingProgress,
+    hideLoadingProgress: hideLoadingScreen,
     getCurrentSystem: () => currentARSystem,
     getCapabilities: () => capabilities
 };
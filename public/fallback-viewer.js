@@ -0,0 +1,434 @@
+// Fallback 3D Viewer for AR Experience
+// Inline (non-AR) viewer used when WebXR immersive-ar is not supported, so desktop
+// and unsupported-phone users can still inspect each hazard and take its quiz
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // ROOM LAYOUT
+    // ============================================================================
+
+    // Neutral room the hazards are shown in (meters). The camera orbits the room centre.
+    const ROOM_WIDTH = 4;
+    const ROOM_DEPTH = 4;
+    const ROOM_HEIGHT = 2.6;
+    const WALL_Z = -1.2; // Back wall, which wall hazards are mounted on
+    const WALL_HAZARD_HEIGHT = 1.3;
+    const DESK_HEIGHT = 0.75;
+    const DESK_SIZE = [1.2, 0.6];
+
+    // ============================================================================
+    // STATE
+    // ============================================================================
+
+    let renderer = null;
+    let scene = null;
+    let camera = null;
+    let controls = null;
+    let clock = null;
+    let room = null; // Floor, walls and desk (built once)
+    let desk = null; // Only shown for elevated hazards
+    let hazardGroup = null; // Holds the model of the selected scenario
+    let mixer = null;
+    let currentScenario = null;
+    let animationFrameId = null;
+    let active = false;
+    let loadToken = 0; // Ignores model loads that finish after another scenario was picked
+
+    // ============================================================================
+    // DOM ELEMENTS
+    // ============================================================================
+
+    const viewerElement = document.getElementById('fallback-viewer');
+    const canvasContainer = document.getElementById('fallback-canvas-container');
+    const scenarioList = document.getElementById('fallback-scenario-list');
+    const quizButton = document.getElementById('fallback-quiz-button');
+    const closeButton = document.getElementById('fallback-close-button');
+
+    // ============================================================================
+    // SCENE SETUP
+    // ============================================================================
+
+    /**
+     * Creates the renderer, camera, controls, lights and room (first start only)
+     * @returns {boolean} False if Three.js or the viewer markup is missing
+     */
+    function initScene() {
+        if (renderer) {
+            return true;
+        }
+        if (typeof THREE === 'undefined' || !viewerElement || !canvasContainer) {
+            console.error('Fallback viewer cannot start: Three.js or its markup is missing');
+            return false;
+        }
+
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0xe9ecef);
+
+        camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.01, 50);
+        camera.position.set(0, 1.6, 1.6);
+
+        renderer = new THREE.WebGLRenderer({ antialias: true });
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.outputEncoding = THREE.sRGBEncoding;
+        canvasContainer.appendChild(renderer.domElement);
+
+        // Same lights as the shared scene setup, plus a soft fill so the room isn't flat
+        if (window.SceneSetup) {
+            window.SceneSetup.createLighting(scene);
+        } else {
+            console.warn('SceneSetup not loaded - using default lighting');
+            scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        }
+        scene.add(new THREE.HemisphereLight(0xffffff, 0xb0b0b0, 0.4));
+
+        room = createRoom();
+        scene.add(room);
+
+        hazardGroup = new THREE.Group();
+        scene.add(hazardGroup);
+
+        // Orbit with mouse, one-finger drag and pinch
+        if (THREE.OrbitControls) {
+            controls = new THREE.OrbitControls(camera, renderer.domElement);
+            controls.enableDamping = true;
+            controls.enablePan = false;
+            controls.minDistance = 0.4;
+            controls.maxDistance = 3;
+            controls.maxPolarAngle = Math.PI * 0.85;
+        } else {
+            console.warn('OrbitControls not loaded - the viewer camera is fixed');
+        }
+
+        clock = new THREE.Clock();
+        window.addEventListener('resize', onWindowResize);
+        return true;
+    }
+
+    /**
+     * Builds the neutral room: floor, back and side walls, ceiling and a desk
+     * @returns {THREE.Group}
+     */
+    function createRoom() {
+        const group = new THREE.Group();
+        const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xf5f5f0, roughness: 0.9, side: THREE.DoubleSide });
+        const floorMaterial = new THREE.MeshStandardMaterial({ color: 0xbfb8ad, roughness: 0.8 });
+
+        const floor = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_DEPTH), floorMaterial);
+        floor.rotation.x = -Math.PI / 2;
+        group.add(floor);
+
+        const ceiling = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_DEPTH), wallMaterial);
+        ceiling.rotation.x = Math.PI / 2;
+        ceiling.position.y = ROOM_HEIGHT;
+        group.add(ceiling);
+
+        const backWall = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_HEIGHT), wallMaterial);
+        backWall.position.set(0, ROOM_HEIGHT / 2, WALL_Z);
+        group.add(backWall);
+
+        [-1, 1].forEach((side) => {
+            const sideWall = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_DEPTH, ROOM_HEIGHT), wallMaterial);
+            sideWall.rotation.y = -side * Math.PI / 2;
+            sideWall.position.set(side * ROOM_WIDTH / 2, ROOM_HEIGHT / 2, WALL_Z + ROOM_DEPTH / 2);
+            group.add(sideWall);
+        });
+
+        const grid = new THREE.GridHelper(ROOM_WIDTH, ROOM_WIDTH * 4, 0x9e9689, 0xaaa397);
+        grid.position.y = 0.001;
+        group.add(grid);
+
+        desk = new THREE.Mesh(
+            new THREE.BoxGeometry(DESK_SIZE[0], DESK_HEIGHT, DESK_SIZE[1]),
+            new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.7 })
+        );
+        desk.position.set(0, DESK_HEIGHT / 2, 0);
+        desk.visible = false;
+        group.add(desk);
+
+        return group;
+    }
+
+    /**
+     * Keeps the renderer and camera matched to the window size
+     */
+    function onWindowResize() {
+        if (!renderer || !camera) return;
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    // ============================================================================
+    // SCENARIOS
+    // ============================================================================
+
+    /**
+     * Fills the scenario list with one button per scenario in the manifest
+     * @param {Array<Object>} scenarios - Scenarios from scenarios.json
+     */
+    function renderScenarioList(scenarios) {
+        if (!scenarioList) return;
+        scenarioList.innerHTML = '';
+
+        scenarios.forEach((scenario) => {
+            const button = document.createElement('button');
+            button.className = 'fallback-scenario-button';
+            button.textContent = scenario.name || scenario.id;
+            button.dataset.scenarioId = scenario.id;
+            button.addEventListener('click', () => showScenario(scenario));
+            scenarioList.appendChild(button);
+        });
+    }
+
+    /**
+     * Shows a scenario's model in the room where it would be found in AR
+     * @param {Object} scenario - Scenario from scenarios.json
+     */
+    async function showScenario(scenario) {
+        const token = ++loadToken;
+        currentScenario = scenario;
+        clearHazard();
+        updateSelection();
+
+        let model = null;
+        let clips = [];
+        if (scenario.model && window.ModelCache) {
+            try {
+                const gltf = await window.ModelCache.loadModel(scenario.model);
+                if (token !== loadToken) return;
+                model = window.ScenarioManager.createModel(scenario, gltf);
+                clips = gltf.animations || [];
+            } catch (error) {
+                if (token !== loadToken) return;
+                console.error(`Fallback viewer failed to load ${scenario.model}:`, error);
+                if (window.Toast) {
+                    window.Toast.warning(`Showing a placeholder for ${scenario.name || scenario.id}.`, 'Model Not Loaded', 4000);
+                }
+            }
+        }
+        if (!model) {
+            model = window.ScenarioManager.createPlaceholder(scenario);
+        }
+
+        hazardGroup.add(model);
+        placeHazardGroup(getSurfaceType(scenario));
+
+        const loopClips = window.ScenarioManager.getAnimationClips(scenario, 'loop', clips);
+        if (loopClips.length > 0) {
+            mixer = new THREE.AnimationMixer(model);
+            loopClips.forEach(clip => mixer.clipAction(clip).play());
+        }
+    }
+
+    /**
+     * Returns the surface a scenario is shown on (its first listed surface)
+     * @param {Object} scenario - Scenario from scenarios.json
+     * @returns {string} 'wall', 'floor', 'ceiling' or 'elevated'
+     */
+    function getSurfaceType(scenario) {
+        return Array.isArray(scenario.surfaces) && scenario.surfaces.length > 0 ? scenario.surfaces[0] : 'floor';
+    }
+
+    /**
+     * Positions the hazard group on a room surface and points the camera at it.
+     * Uses the same orientation as AR placement: the group's +Y is the surface normal,
+     * except on walls where the content faces out along +Z.
+     * @param {string} surfaceType - 'wall', 'floor', 'ceiling' or 'elevated'
+     */
+    function placeHazardGroup(surfaceType) {
+        hazardGroup.position.set(0, 0, 0);
+        hazardGroup.rotation.set(0, 0, 0);
+        desk.visible = surfaceType === 'elevated';
+
+        if (surfaceType === 'wall') {
+            hazardGroup.position.set(0, WALL_HAZARD_HEIGHT, WALL_Z + 0.005);
+        } else if (surfaceType === 'ceiling') {
+            hazardGroup.position.set(0, ROOM_HEIGHT - 0.005, 0);
+            hazardGroup.rotation.x = Math.PI;
+        } else if (surfaceType === 'elevated') {
+            hazardGroup.position.set(0, DESK_HEIGHT, 0);
+        }
+
+        if (controls) {
+            controls.target.copy(hazardGroup.position);
+            controls.update();
+        } else {
+            camera.lookAt(hazardGroup.position);
+        }
+    }
+
+    /**
+     * Removes and disposes the model of the current scenario (keeping what it shares with the ModelCache)
+     */
+    function clearHazard() {
+        if (mixer) {
+            mixer.stopAllAction();
+            mixer = null;
+        }
+        while (hazardGroup && hazardGroup.children.length > 0) {
+            const child = hazardGroup.children[0];
+            hazardGroup.remove(child);
+            window.ScenarioManager.disposeModel(child);
+        }
+    }
+
+    /**
+     * Highlights the selected scenario and enables the quiz button
+     */
+    function updateSelection() {
+        if (scenarioList) {
+            scenarioList.querySelectorAll('.fallback-scenario-button').forEach((button) => {
+                button.classList.toggle('selected', !!currentScenario && button.dataset.scenarioId === currentScenario.id);
+            });
+        }
+        if (quizButton) {
+            quizButton.disabled = !currentScenario || !currentScenario.quizKey;
+        }
+    }
+
+    // ============================================================================
+    // QUIZ
+    // ============================================================================
+
+    /**
+     * Opens the selected scenario's quiz; closing it returns to the viewer
+     */
+    async function openQuiz() {
+        if (!currentScenario || !currentScenario.quizKey || !window.QuizSystem) {
+            return;
+        }
+
+        stopRenderLoop();
+        const shown = await window.QuizSystem.showQuiz(currentScenario.quizKey, {
+            scenarioId: currentScenario.id,
+            closeLabel: 'Back to Viewer',
+            onClose: () => {
+                if (active) {
+                    startRenderLoop();
+                }
+            }
+        });
+
+        // No quiz was shown (and onClose won't be called) - keep the viewer running
+        if (!shown && active) {
+            startRenderLoop();
+        }
+    }
+
+    // ============================================================================
+    // RENDER LOOP
+    // ============================================================================
+
+    function startRenderLoop() {
+        if (animationFrameId !== null) return;
+        clock.getDelta(); // Don't jump animations forward by the time spent paused
+
+        const renderFrame = () => {
+            animationFrameId = requestAnimationFrame(renderFrame);
+            const delta = clock.getDelta();
+            if (mixer) {
+                mixer.update(delta);
+            }
+            if (controls) {
+                controls.update();
+            }
+            renderer.render(scene, camera);
+        };
+        renderFrame();
+    }
+
+    function stopRenderLoop() {
+        if (animationFrameId !== null) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+    }
+
+    // ============================================================================
+    // START / STOP
+    // ============================================================================
+
+    /**
+     * Opens the viewer with the first scenario selected
+     * @returns {Promise<boolean>} False if the viewer could not start
+     */
+    async function start() {
+        if (active) {
+            return true;
+        }
+        if (!window.ScenarioManager || !initScene()) {
+            return false;
+        }
+
+        let manifest;
+        try {
+            manifest = await window.ScenarioManager.loadManifest();
+        } catch (error) {
+            return false;
+        }
+
+        active = true;
+        viewerElement.classList.remove('hidden');
+        onWindowResize();
+        renderScenarioList(manifest.scenarios);
+        startRenderLoop();
+
+        if (manifest.scenarios.length > 0) {
+            showScenario(manifest.scenarios[0]);
+        }
+        console.log('Fallback 3D viewer started');
+        return true;
+    }
+
+    /**
+     * Closes the viewer and returns to the start screen
+     */
+    function stop() {
+        if (!active) return;
+        active = false;
+        loadToken++;
+        stopRenderLoop();
+        clearHazard();
+        currentScenario = null;
+        updateSelection();
+        viewerElement.classList.add('hidden');
+
+        const startButton = document.getElementById('start-button');
+        if (startButton) {
+            startButton.disabled = false;
+            startButton.textContent = 'Start AR';
+            startButton.classList.remove('hidden');
+        }
+        const logoContainer = document.getElementById('logo-container');
+        if (logoContainer) {
+            logoContainer.classList.remove('hidden');
+        }
+        console.log('Fallback 3D viewer closed');
+    }
+
+    // ============================================================================
+    // EVENT HANDLERS
+    // ============================================================================
+
+    if (quizButton) {
+        quizButton.addEventListener('click', openQuiz);
+    }
+    if (closeButton) {
+        closeButton.addEventListener('click', stop);
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.FallbackViewer = {
+        start: start,
+        stop: stop,
+        isActive: () => active
+    };
+
+    console.log('FallbackViewer initialized');
+})();
@@ -0,0 +1,292 @@
+// Hazard Audio for AR Experience
+// Positional sound cues for placed hazards (Three.js AudioListener + PositionalAudio)
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // STATE
+    // ============================================================================
+
+    const MUTE_STORAGE_KEY = 'hazardAudioMuted';
+    const SAMPLE_RATE_FALLBACK = 44100;
+
+    let listener = null; // Single AudioListener, attached to the XR camera
+    let audioLoader = null;
+    let muted = loadMutedPreference();
+
+    // Decoded/synthesized buffers keyed by URL or "synth:<name>" (promises, so loads are shared)
+    const bufferCache = new Map();
+
+    // ============================================================================
+    // CONTEXT & LISTENER
+    // ============================================================================
+
+    /**
+     * Reads the persisted mute preference
+     * @returns {boolean}
+     */
+    function loadMutedPreference() {
+        try {
+            return localStorage.getItem(MUTE_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns the shared AudioContext used by Three.js
+     * @returns {AudioContext|null}
+     */
+    function getContext() {
+        if (typeof THREE === 'undefined' || !THREE.AudioContext) {
+            return null;
+        }
+        try {
+            return THREE.AudioContext.getContext();
+        } catch (e) {
+            console.warn('Web Audio not available:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Resumes the AudioContext. Browsers only allow this from a user gesture,
+     * so it is called from the Start AR button.
+     * @returns {Promise<void>}
+     */
+    async function unlock() {
+        const context = getContext();
+        if (!context) {
+            return;
+        }
+        if (context.state === 'suspended') {
+            try {
+                await context.resume();
+                console.log('Audio unlocked');
+            } catch (e) {
+                console.warn('Could not unlock audio:', e);
+            }
+        }
+    }
+
+    /**
+     * Returns the AudioListener, creating it on first use
+     * @returns {THREE.AudioListener|null}
+     */
+    function getListener() {
+        if (!listener && getContext()) {
+            listener = new THREE.AudioListener();
+            listener.setMasterVolume(muted ? 0 : 1);
+        }
+        return listener;
+    }
+
+    // ============================================================================
+    // MUTE
+    // ============================================================================
+
+    /**
+     * Mutes or unmutes every hazard sound (persisted on this device)
+     * @param {boolean} value - True to mute
+     */
+    function setMuted(value) {
+        muted = !!value;
+        if (listener) {
+            listener.setMasterVolume(muted ? 0 : 1);
+        }
+        try {
+            localStorage.setItem(MUTE_STORAGE_KEY, String(muted));
+        } catch (e) {
+            console.warn('Could not save mute preference:', e);
+        }
+    }
+
+    /**
+     * Flips the mute state
+     * @returns {boolean} The new mute state
+     */
+    function toggleMuted() {
+        setMuted(!muted);
+        return muted;
+    }
+
+    // ============================================================================
+    // SYNTHESIZED CUES
+    // ============================================================================
+    // Built-in sounds so hazards have audio without shipping sound files.
+    // A scenario can use a recorded file instead via `audio.url`.
+
+    const SYNTHS = {
+        /**
+         * Electrical crackle: sparse bursts of decaying noise over a faint mains hum
+         */
+        crackle(context) {
+            const rate = context.sampleRate || SAMPLE_RATE_FALLBACK;
+            const length = Math.floor(rate * 2);
+            const buffer = context.createBuffer(1, length, rate);
+            const data = buffer.getChannelData(0);
+
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.sin(2 * Math.PI * 50 * i / rate) * 0.04;
+            }
+
+            const bursts = 14;
+            for (let b = 0; b < bursts; b++) {
+                const start = Math.floor(Math.random() * (length - rate * 0.05));
+                const burstLength = Math.floor(rate * (0.005 + Math.random() * 0.03));
+                const gain = 0.3 + Math.random() * 0.6;
+                for (let i = 0; i < burstLength; i++) {
+                    const decay = 1 - i / burstLength;
+                    data[start + i] += (Math.random() * 2 - 1) * gain * decay * decay;
+                }
+            }
+            return buffer;
+        },
+
+        /**
+         * Water drip: a short falling "plink" followed by silence
+         */
+        drip(context) {
+            const rate = context.sampleRate || SAMPLE_RATE_FALLBACK;
+            const length = Math.floor(rate * 1.6);
+            const buffer = context.createBuffer(1, length, rate);
+            const data = buffer.getChannelData(0);
+
+            const dropLength = Math.floor(rate * 0.12);
+            let phase = 0;
+            for (let i = 0; i < dropLength; i++) {
+                const t = i / dropLength;
+                const frequency = 1400 - 800 * t;
+                phase += 2 * Math.PI * frequency / rate;
+                data[i] = Math.sin(phase) * Math.exp(-t * 6) * 0.7;
+            }
+            return buffer;
+        },
+
+        /**
+         * Electrical hum: steady mains buzz with harmonics
+         */
+        hum(context) {
+            const rate = context.sampleRate || SAMPLE_RATE_FALLBACK;
+            const length = Math.floor(rate); // 1s at 50Hz loops seamlessly
+            const buffer = context.createBuffer(1, length, rate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                const t = i / rate;
+                data[i] = (Math.sin(2 * Math.PI * 50 * t) * 0.3 +
+                    Math.sin(2 * Math.PI * 100 * t) * 0.15 +
+                    Math.sin(2 * Math.PI * 150 * t) * 0.05);
+            }
+            return buffer;
+        }
+    };
+
+    // ============================================================================
+    // BUFFER LOADING
+    // ============================================================================
+
+    /**
+     * Loads (or synthesizes) the AudioBuffer for a scenario's audio config
+     * @param {Object} config - `audio` block from scenarios.json ({ url } or { synth })
+     * @returns {Promise<AudioBuffer>}
+     */
+    function loadBuffer(config) {
+        const key = config.url ? config.url : `synth:${config.synth}`;
+        if (bufferCache.has(key)) {
+            return bufferCache.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const context = getContext();
+            if (!context) {
+                reject(new Error('Web Audio is not available'));
+                return;
+            }
+
+            if (config.url) {
+                if (!audioLoader) {
+                    audioLoader = new THREE.AudioLoader();
+                }
+                audioLoader.load(config.url, resolve, undefined, (error) => {
+                    reject(new Error(`Failed to load audio from ${config.url}: ${error.message || error}`));
+                });
+                return;
+            }
+
+            const synth = SYNTHS[config.synth];
+            if (!synth) {
+                reject(new Error(`Unknown synthesized sound "${config.synth}"`));
+                return;
+            }
+            resolve(synth(context));
+        });
+
+        bufferCache.set(key, promise);
+        promise.catch(() => bufferCache.delete(key));
+        return promise;
+    }
+
+    /**
+     * Creates a looping PositionalAudio source for a scenario and starts it
+     * @param {Object} scenario - Scenario from scenarios.json (uses its `audio` block)
+     * @returns {Promise<THREE.PositionalAudio|null>} The source, or null if the scenario is silent
+     */
+    async function createPositionalAudio(scenario) {
+        const config = scenario.audio;
+        if (!config || (!config.url && !config.synth)) {
+            return null;
+        }
+
+        const audioListener = getListener();
+        if (!audioListener) {
+            return null;
+        }
+
+        const buffer = await loadBuffer(config);
+        const sound = new THREE.PositionalAudio(audioListener);
+        sound.setBuffer(buffer);
+        sound.setLoop(config.loop !== false);
+        sound.setVolume(typeof config.volume === 'number' ? config.volume : 1);
+        sound.setRefDistance(typeof config.refDistance === 'number' ? config.refDistance : 0.5);
+        sound.setRolloffFactor(typeof config.rolloff === 'number' ? config.rolloff : 1);
+        sound.userData.scenarioId = scenario.id;
+        sound.play();
+        return sound;
+    }
+
+    /**
+     * Stops a source created by createPositionalAudio and detaches it from the graph
+     * @param {THREE.PositionalAudio} sound - Source to stop
+     */
+    function stopSound(sound) {
+        if (!sound) return;
+        try {
+            if (sound.isPlaying) {
+                sound.stop();
+            }
+            sound.disconnect();
+        } catch (e) {
+            console.warn('Error stopping hazard audio:', e);
+        }
+        if (sound.parent) {
+            sound.parent.remove(sound);
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.HazardAudio = {
+        unlock: unlock,
+        getListener: getListener,
+        createPositionalAudio: createPositionalAudio,
+        stopSound: stopSound,
+        setMuted: setMuted,
+        toggleMuted: toggleMuted,
+        isMuted: () => muted
+    };
+
+    console.log('HazardAudio initialized');
+})();
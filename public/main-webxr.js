@@ -39,77 +39,22 @@ if (typeof window !== 'undefined') {
 }
 
 // ============================================================================
-// GLTF LOADER SETUP (simple and straightforward)
+// MODEL LOADING
 // ============================================================================
-// Create a single GLTFLoader instance that will be used throughout the app
-let gltfLoader = null;
+// Parsed GLTFs are cached per URL by ModelCache (model-cache.js), so repeat
+// spawns clone the cached scene instead of downloading and parsing again.
 
 /**
- * Initialize the GLTFLoader - simple check and create instance
- */
-function initGLTFLoader() {
-    if (gltfLoader) {
-        return gltfLoader; // Already initialized, reuse instance
-    }
-    
-    if (typeof THREE === 'undefined' || typeof THREE.GLTFLoader === 'undefined') {
-        console.error('❌ GLTFLoader not available! Make sure GLTFLoader.js script is loaded after Three.js');
-        if (window.Toast) {
-            window.Toast.error('GLTFLoader not found. 3D models cannot be loaded. Please refresh the page.', 'Loader Error', 8000);
-        }
-        return null;
-    }
-    
-    try {
-        gltfLoader = new THREE.GLTFLoader();
-        console.log('✅ GLTFLoader initialized');
-        return gltfLoader;
-    } catch (e) {
-        console.error('❌ Failed to create GLTFLoader instance:', e);
-        if (window.Toast) {
-            window.Toast.error('Failed to initialize GLTFLoader. Please refresh the page.', 'Loader Error', 8000);
-        }
-        return null;
-    }
-}
-
-/**
- * Load a GLB/GLTF model - simple and straightforward
+ * Load a GLB/GLTF model (cached for the session)
  * @param {string} url - Path to the GLB file
- * @returns {Promise<Object>} - The loaded GLTF object with scene property
+ * @param {Function} [onProgress] - Called with a 0-100 percentage while downloading
+ * @returns {Promise<Object>} - The loaded GLTF object with scene property (shared - clone before use)
  */
-function loadModel(url) {
-    return new Promise((resolve, reject) => {
-        // Initialize loader if needed
-        if (!gltfLoader) {
-            gltfLoader = initGLTFLoader();
-        }
-        
-        if (!gltfLoader) {
-            reject(new Error('GLTFLoader not available. Please ensure GLTFLoader.js is loaded.'));
-            return;
-        }
-        
-        // Load the model
-        gltfLoader.load(
-            url,
-            (gltf) => {
-                console.log('✅ Model loaded successfully:', url);
-                resolve(gltf);
-            },
-            (progress) => {
-                // Progress callback (optional)
-                if (progress.total > 0) {
-                    const percent = Math.round((progress.loaded / progress.total) * 100);
-                    console.log(`Loading ${url}: ${percent}%`);
-                }
-            },
-            (error) => {
-                console.error('❌ Failed to load model:', url, error);
-                reject(new Error(`Failed to load model from ${url}: ${error.message || error}`));
-            }
-        );
-    });
+function loadModel(url, onProgress) {
+    if (!window.ModelCache) {
+        return Promise.reject(new Error('ModelCache not available. Please ensure model-cache.js is loaded.'));
+    }
+    return window.ModelCache.loadModel(url, onProgress);
 }
 
 /**
@@ -129,37 +74,109 @@ let isAnchored = false;
 let xrSession = null;
 let xrReferenceSpace = null;
 let xrHitTestSource = null;
-let currentSurfaceType = null; // 'floor' or 'wall'
-let currentModelType = null; // 'wire-model', 'green-cube' (puddle model), etc.
+let xrReferenceSpaceType = null; // 'local-floor', 'local' or 'viewer' - whichever was granted
+let anchorsSupported = false; // Whether the session granted the 'anchors' feature
+let persistentAnchorsSupported = false; // Whether anchors can be saved across sessions on this device
+let latestHitTestResult = null; // Hit-test result from the current frame (only valid during that frame)
+let simulatedEnvironment = null; // Mock room of a ?simulate=1 session, or the backdrop of a ?replay session
+let currentSurfaceType = null; // 'floor', 'wall', 'ceiling' or 'elevated'
 let isExitingToQuiz = false; // Flag to prevent returnToStartScreen when exiting to quiz
+let suspendedSession = null; // Hazard placements kept while the session is ended for the full-screen quiz (see suspendSession)
+const quizPanelRequested = new URLSearchParams(window.location.search).get('quiz') === 'panel'; // ?quiz=panel
+let inSessionQuiz = null; // 'overlay' or 'panel' while a quiz is answered inside the AR session
 // debugMode is defined at the top of the file to ensure it's always available
 
 // ============================================================================
 // THREE.JS SCENE SETUP
 // ============================================================================
 let scene, camera, renderer;
-let contentGroup;
-let cubeMesh;
-let wireModel = null; // Wire.glb model
-let puddleModel = null; // Puddle.glb model
-let placedSurfaceType = null; // 'wall' or 'floor' - surface type when content was placed
+let contentGroup; // Parent of every placed hazard's group
+let placedHazards = []; // Independently placed hazards, oldest first (see createHazardForSurface)
+let nextHazardId = 1;
+let gazedHazard = null; // Hazard the user is looking at (the quiz button opens its quiz)
+let quizHazard = null; // Hazard whose quiz was opened last
+const MAX_PLACED_HAZARDS = 6; // Placing more removes the oldest
 let reticle; // Visual indicator for placement
 let reticleFloorGeometry; // Ring geometry for floor
 let reticleWallGeometry; // Crosshair geometry for wall
+let reticleCeilingGeometry; // Square outline geometry for ceiling
+let reticleElevatedGeometry; // Small ring geometry for desks/benches
 let reticleMaterial; // Material that changes color
 let animationTime = 0;
 let lastAnimationTimestamp = 0; // For frame-rate independent animation
 
+// ============================================================================
+// LIGHTING STATE
+// ============================================================================
+const DEFAULT_AMBIENT_INTENSITY = 1.1; // Hand-tuned defaults, used without light estimation
+const DEFAULT_DIRECTIONAL_INTENSITY = 1.2;
+const DEFAULT_FILL_INTENSITY = 0.5;
+let ambientLight, directionalLight, fillLight;
+let lightProbe = null; // THREE.LightProbe fed by the estimated spherical harmonics
+let xrLightProbe = null; // XRLightProbe from the session
+let xrGLBinding = null; // XRWebGLBinding used to fetch the reflection cube map
+let reflectionRenderTarget = null; // Cube render target whose texture wraps the reflection cube map
+let lightEstimationActive = false;
+const SHADOW_MAP_SIZE = 1024; // Shadow camera is fitted to the hazards, so this stays sharp
+const SHADOW_OPACITY = 0.35; // Darkness of grounding shadows over the camera image
+const SHADOW_MARGIN = 1.0; // Meters around the hazards covered by the shadow camera
+// Direction towards the main light (default, or the estimated light when available)
+const primaryLightDirection = new THREE.Vector3(5, 10, 5).normalize();
+const _shadowCenter = new THREE.Vector3();
+const _shadowPoint = new THREE.Vector3();
+let contactShadowCanvas = null; // Radial gradient shared by wall contact shadows
+
+// ============================================================================
+// DEPTH OCCLUSION STATE
+// ============================================================================
+let depthSensingActive = false; // Session granted CPU depth data we can use
+let depthDataFormat = 'luminance-alpha'; // 'luminance-alpha' or 'float32'
+const OCCLUSION_STORAGE_KEY = 'depthOcclusionEnabled';
+let occlusionEnabled = loadOcclusionPreference(); // User toggle (overlay) - saved in localStorage
+let depthTexture = null; // DataTexture holding the latest depth buffer
+// Shared by every patched hazard material (see applyDepthOcclusion)
+const occlusionUniforms = {
+    uDepthTexture: { value: null },
+    uDepthUvTransform: { value: new THREE.Matrix4() },
+    uRawValueToMeters: { value: 0.001 },
+    uDepthViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
+    uDepthFormat: { value: 0 },
+    uOcclusionEnabled: { value: 0 }
+};
+
 // ============================================================================
 // GAZE DETECTION STATE
 // ============================================================================
-let gazeTimer = 0; // Time in milliseconds user has been looking at model
-let isGazingAtModel = false;
+// Gaze timers are kept per hazard (hazard.gazeTimer / hazard.isGazing)
 let lastGazeCheckTime = 0;
 const GAZE_THRESHOLD_MS = 2000; // 2 seconds
 const GAZE_ANGLE_THRESHOLD = Math.PI / 6; // 30 degrees (in radians)
 let raycaster = null; // Will be initialized after THREE is available
 
+// ============================================================================
+// SURFACE CLASSIFICATION STATE
+// ============================================================================
+const ELEVATED_SURFACE_MIN_HEIGHT = 0.4; // Horizontal hits this far (m) above the floor are desks/benches
+const DEFAULT_VIEWER_HEIGHT = 1.5; // Assumed phone height (m) above the floor before the floor is seen
+const FLOOR_CANDIDATE_MIN_DROP = 0.9; // Hits must be this far (m) below the viewer to update the floor estimate
+let observedFloorY = null; // Lowest floor-level hit seen this session (reference space Y)
+const PLANE_HIT_TOLERANCE = 0.05; // Hits this close (m) to a detected plane lie on it
+const PLANE_FIT_TOLERANCE = 0.05; // Hazards may overhang a detected plane by this much (m)
+let planeDetectionSupported = false; // Whether the session granted 'plane-detection'
+let currentSurfaceExtents = null; // { width, depth } of the detected plane under the reticle, if known
+const planeExtentsCache = new WeakMap(); // XRPlane -> { time, extents }
+const _planeMatrix = new THREE.Matrix4();
+const _planeInverse = new THREE.Matrix4();
+const _planePoint = new THREE.Vector3();
+
+// ============================================================================
+// IMAGE TRACKING STATE
+// ============================================================================
+const imageModeRequested = new URLSearchParams(window.location.search).get('mode') === 'image'; // ?mode=image
+let imageTrackingActive = false; // Session is tracking at least one poster
+let imageTargets = []; // Image targets requested for this session, in trackedImages order
+const imageTargetHazards = new Map(); // Target id -> its hazard (null while loading)
+
 // ============================================================================
 // AUTO-SPAWN STATE
 // ============================================================================
@@ -192,6 +209,7 @@ let recentHitTestPoses = []; // Array to store recent hit-test poses for smoothi
 let arContainer = null;
 let overlayRoot = null;
 let overlayUI = null;
+let overlayHandlersAttached = false;
 
 function getDOMElements() {
     if (!arContainer) {
@@ -263,6 +281,27 @@ function ensureOverlayRoot() {
         debugLog('Quiz button moved into overlay UI');
     }
     
+    // Move mute button into overlay UI if it exists and isn't already there
+    const muteButton = document.getElementById('mute-button');
+    if (muteButton && muteButton.parentElement !== overlayUI) {
+        overlayUI.appendChild(muteButton);
+        debugLog('Mute button moved into overlay UI');
+    }
+    
+    // Move occlusion toggle into overlay UI if it exists and isn't already there
+    const occlusionToggle = document.getElementById('occlusion-toggle');
+    if (occlusionToggle && occlusionToggle.parentElement !== overlayUI) {
+        overlayUI.appendChild(occlusionToggle);
+        debugLog('Occlusion toggle moved into overlay UI');
+    }
+    
+    // Move loading overlay into overlay UI so model download progress is visible in AR
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay && loadingOverlay.parentElement !== overlayUI) {
+        overlayUI.appendChild(loadingOverlay);
+        debugLog('Loading overlay moved into overlay UI');
+    }
+    
     // Ensure toast container is accessible (can be sibling or inside overlay)
     const toastContainer = document.getElementById('toast-container');
     if (toastContainer && !overlayRoot.contains(toastContainer)) {
@@ -396,6 +435,12 @@ async function initWebXR() {
     
     camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.01, 100);
     
+    // Hazard sounds are heard from the XR camera's position (the listener follows the camera pose)
+    const audioListener = window.HazardAudio ? window.HazardAudio.getListener() : null;
+    if (audioListener) {
+        camera.add(audioListener);
+    }
+    
     // Create WebGL renderer with XR support
     // CRITICAL: alpha must be true for camera passthrough
     renderer = new THREE.WebGLRenderer({ 
@@ -457,13 +502,11 @@ async function initWebXR() {
     });
 
     // Create content group for AR objects
+    // Each placed hazard adds its own positioned group here
     contentGroup = new THREE.Group();
-    contentGroup.visible = false; // Hidden until placed
     scene.add(contentGroup);
 
-    // Note: Objects will be created dynamically based on surface type when placed
-
-    // Create reticle geometries for floor and wall
+    // Create reticle geometries for each surface type
     // Floor: Ring geometry
     reticleFloorGeometry = new THREE.RingGeometry(0.05, 0.07, 32).rotateX(-Math.PI / 2);
     
@@ -505,6 +548,12 @@ async function initWebXR() {
     reticleWallGeometry.computeVertexNormals();
     reticleWallGeometry.rotateX(-Math.PI / 2);
     
+    // Ceiling: Square outline (4-segment ring rotated so its edges are axis-aligned)
+    reticleCeilingGeometry = new THREE.RingGeometry(0.06, 0.08, 4).rotateZ(Math.PI / 4).rotateX(-Math.PI / 2);
+    
+    // Elevated (desk/bench): Smaller ring to distinguish it from the floor
+    reticleElevatedGeometry = new THREE.RingGeometry(0.03, 0.045, 32).rotateX(-Math.PI / 2);
+    
     // Create reticle material (color will change based on surface type)
     reticleMaterial = new THREE.MeshBasicMaterial({ 
         color: 0x00ffff, // Cyan for floor (default)
@@ -519,21 +568,33 @@ async function initWebXR() {
     scene.add(reticle);
 
     // Add lighting - increased intensity to address darkness
-    const ambientLight = new THREE.AmbientLight(0xffffff, 1.1); // Increased from 0.7 to 1.0
+    // (replaced by the room's estimated lighting when light estimation is available)
+    ambientLight = new THREE.AmbientLight(0xffffff, DEFAULT_AMBIENT_INTENSITY); // Increased from 0.7 to 1.0
     scene.add(ambientLight);
     
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.2); // Increased from 0.8 to 1.2
+    directionalLight = new THREE.DirectionalLight(0xffffff, DEFAULT_DIRECTIONAL_INTENSITY); // Increased from 0.8 to 1.2
     directionalLight.position.set(5, 10, 5);
     scene.add(directionalLight);
-    directionalLight.castShadow = false; // shadows often darken AR scenes
+    // Only placed hazards cast shadows, onto invisible catchers (see GROUNDING SHADOWS)
+    setupShadows();
     
     // Add additional fill light to reduce darkness
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    fillLight = new THREE.DirectionalLight(0xffffff, DEFAULT_FILL_INTENSITY);
     fillLight.position.set(-5, 5, -5);
     scene.add(fillLight);
     
 
     // Start WebXR session
+    await startXRSession();
+}
+
+/**
+ * Requests the immersive-ar session and connects it to the renderer and scene.
+ * initWebXR() creates those first; resumeSession() reuses the suspended ones.
+ */
+async function startXRSession() {
+    const resuming = !!suspendedSession;
+    
     try {
         debugLog('Requesting WebXR session...');
         debugLog('Canvas ready:', {
@@ -566,9 +627,19 @@ async function initWebXR() {
         // Base options used everywhere
         const baseSessionOptions = {
             requiredFeatures: [], // Explicitly set to empty array to prevent SDK errors
-            optionalFeatures: ['local', 'local-floor', 'hit-test', 'dom-overlay']
+            optionalFeatures: ['local', 'local-floor', 'hit-test', 'anchors', 'plane-detection', 'light-estimation', 'depth-sensing', 'dom-overlay'],
+            depthSensing: getDepthSensingOptions() // Required alongside the 'depth-sensing' feature
         };
         
+        // Posters can only be tracked if their images are passed in when the session starts
+        if (imageModeRequested) {
+            const trackedImages = getTrackedImages();
+            if (trackedImages.length > 0) {
+                baseSessionOptions.optionalFeatures.push('image-tracking');
+                baseSessionOptions.trackedImages = trackedImages;
+            }
+        }
+        
         // Always attempt DOM overlay for both iOS and Android
         // Use the dedicated overlay root element
         const platformName = platform.isIOS ? 'iOS' : platform.isAndroid ? 'Android' : 'Other';
@@ -645,9 +716,25 @@ async function initWebXR() {
         debugLog('Session features:', xrSession.enabledFeatures);
         debugLog('Session object:', xrSession);
         
-        // Initialize auto-spawn state
+        // Anchors keep placed hazards aligned as tracking improves (static placement otherwise)
+        anchorsSupported = xrSession.enabledFeatures
+            ? xrSession.enabledFeatures.includes('anchors')
+            : (typeof XRFrame !== 'undefined' && typeof XRFrame.prototype.createAnchor === 'function');
+        persistentAnchorsSupported = anchorsSupported &&
+            typeof xrSession.restorePersistentAnchor === 'function' &&
+            typeof XRAnchor !== 'undefined' &&
+            typeof XRAnchor.prototype.requestPersistentHandle === 'function';
+        debugLog('Anchors supported:', anchorsSupported, 'persistent:', persistentAnchorsSupported);
+        
+        // Detected planes give reliable surface orientation and size (pose heuristics otherwise)
+        planeDetectionSupported = xrSession.enabledFeatures
+            ? xrSession.enabledFeatures.includes('plane-detection')
+            : (typeof XRFrame !== 'undefined' && 'detectedPlanes' in XRFrame.prototype);
+        debugLog('Plane detection supported:', planeDetectionSupported);
+        
+        // Initialize auto-spawn state (a resumed session still has its hazards, so it doesn't auto-spawn again)
         autoSpawnTimer = 0;
-        hasAutoSpawned = false;
+        hasAutoSpawned = resuming && hasAutoSpawned;
         autoSpawnTime = (3000 + Math.random() * 2000); // Random time between 3-5 seconds
         lastSpawnAttemptTime = 0;
         autoSpawnPosition = null;
@@ -660,7 +747,10 @@ async function initWebXR() {
         }
         
         // Prevent overlay taps from triggering XR select events
-        if (overlayRoot) {
+        // (the overlay elements outlive the session, so their handlers are attached once)
+        if (overlayRoot && !overlayHandlersAttached) {
+            overlayHandlersAttached = true;
+
             // Add beforexrselect listener to prevent XR select on overlay
             overlayRoot.addEventListener('beforexrselect', (e) => {
                 e.preventDefault();
@@ -696,15 +786,55 @@ async function initWebXR() {
                 quizButton.addEventListener('touchstart', stopPropagation);
                 quizButton.addEventListener('pointerdown', stopPropagation);
                 
-                // Add click handler for quiz button
+                // Add click handler for quiz button (the quiz is answered without leaving AR)
                 quizButton.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    if (window.WebXRAR && window.WebXRAR.exitToQuiz) {
-                        window.WebXRAR.exitToQuiz();
+                    if (window.WebXRAR && window.WebXRAR.openQuiz) {
+                        window.WebXRAR.openQuiz();
                     }
                 });
             }
             
+            // Mute button toggles hazard sounds without leaving AR
+            const muteButton = document.getElementById('mute-button');
+            if (muteButton) {
+                const stopPropagation = (e) => {
+                    e.stopPropagation();
+                };
+                muteButton.addEventListener('click', stopPropagation);
+                muteButton.addEventListener('touchstart', stopPropagation);
+                muteButton.addEventListener('pointerdown', stopPropagation);
+                
+                // Assigned (not added) so repeated sessions don't stack toggles
+                muteButton.onclick = (e) => {
+                    e.stopPropagation();
+                    if (window.HazardAudio) {
+                        window.HazardAudio.toggleMuted();
+                    }
+                    updateMuteButton();
+                };
+                updateMuteButton();
+            }
+            
+            // Occlusion toggle switches depth-based hiding of hazards
+            const occlusionCheckbox = document.getElementById('occlusion-checkbox');
+            if (occlusionCheckbox) {
+                const occlusionToggle = document.getElementById('occlusion-toggle');
+                const stopPropagation = (e) => {
+                    e.stopPropagation();
+                };
+                occlusionToggle.addEventListener('click', stopPropagation);
+                occlusionToggle.addEventListener('touchstart', stopPropagation);
+                occlusionToggle.addEventListener('pointerdown', stopPropagation);
+                
+                // Assigned (not added) so repeated sessions don't stack handlers
+                occlusionCheckbox.onchange = (e) => {
+                    occlusionEnabled = e.target.checked;
+                    saveOcclusionPreference();
+                    debugLog('Depth occlusion:', occlusionEnabled ? 'enabled' : 'disabled');
+                };
+            }
+            
             // Handle any close button if it exists
             const closeButton = document.getElementById('close-button');
             if (closeButton) {
@@ -732,9 +862,16 @@ async function initWebXR() {
             canvas.style.display = 'block';
         }
         
-        // Connect renderer to XR session
-        await renderer.xr.setSession(xrSession);
-        debugLog('Renderer connected to XR session');
+        // Connect renderer to XR session (a simulated session is rendered like an inline scene,
+        // with its mock room standing in for the camera feed)
+        if (xrSession.isSimulated) {
+            simulatedEnvironment = xrSession.environment;
+            scene.add(simulatedEnvironment);
+            debugLog('Simulated XR session - rendering the mock room');
+        } else {
+            await renderer.xr.setSession(xrSession);
+            debugLog('Renderer connected to XR session');
+        }
         
         // Force an immediate render to ensure camera feed appears
         // This is especially important for iOS
@@ -747,6 +884,7 @@ async function initWebXR() {
         for (const spaceType of referenceSpaceTypes) {
             try {
                 xrReferenceSpace = await xrSession.requestReferenceSpace(spaceType);
+                xrReferenceSpaceType = spaceType;
                 debugLog(`Reference space obtained: ${spaceType}`);
                 break;
             } catch (e) {
@@ -787,6 +925,14 @@ async function initWebXR() {
         } else {
             console.log('Hit-test not available - content will be placed in front of camera on tap');
         }
+        
+        // Capture the session into a downloadable trace with ?record=1 (see xr-recorder.js)
+        if (window.XRRecorder) {
+            window.XRRecorder.startRecording(xrSession, {
+                referenceSpaceType: xrReferenceSpaceType,
+                hitTest: !!xrHitTestSource
+            });
+        }
 
         // Handle session end
         xrSession.addEventListener('end', () => {
@@ -803,7 +949,7 @@ async function initWebXR() {
 
         // Set up render loop - Three.js handles XR rendering automatically
         // CRITICAL: The render loop must be set for the camera feed to appear
-        renderer.setAnimationLoop(onXRFrame);
+        renderer.setAnimationLoop(xrSession.isSimulated ? onSimulatedFrame : onXRFrame);
         console.log('Render loop started - camera feed should be visible');
         
         if (window.Toast) {
@@ -811,8 +957,13 @@ async function initWebXR() {
         }
         
         // Force an immediate frame render to kickstart the loop (iOS sometimes needs this)
+        const isSimulated = !!xrSession.isSimulated;
         requestAnimationFrame(() => {
             console.log('Animation frame requested - render loop should be active');
+            // Simulated and replayed sessions are rendered inline, so they never present
+            if (isSimulated) {
+                return;
+            }
             // Double-check that the loop is actually running
             if (renderer.xr.isPresenting) {
                 console.log('XR is presenting - camera feed should be visible');
@@ -836,6 +987,21 @@ async function initWebXR() {
         
         // Set up tap-to-place interaction
         setupTapToPlace();
+        
+        // Bring back hazards placed in earlier sessions on this device (a resumed
+        // session puts its own hazards back on its first frame instead)
+        if (!resuming) {
+            restorePersistedHazards();
+        }
+        
+        // Match the room's lighting where supported
+        setupLightEstimation();
+        
+        // Let real objects hide hazards where depth sensing is supported
+        setupDepthOcclusion();
+        
+        // Spawn hazards from printed posters in ?mode=image
+        setupImageTracking();
 
     } catch (error) {
         console.error('Failed to start WebXR session:', error);
@@ -857,437 +1023,1060 @@ async function initWebXR() {
 // ============================================================================
 
 /**
- * Creates or loads the appropriate 3D object based on surface type
- * @param {string} surfaceType - 'wall' or 'floor'
+ * Disposes an object's GPU resources and its descendants (see ScenarioManager.disposeModel,
+ * which leaves the geometry and textures shared with the ModelCache alone)
+ * @param {THREE.Object3D} object - Root object to dispose
+ */
+function disposeObject(object) {
+    window.ScenarioManager.disposeModel(object);
+    
+    // Call dispose if available
+    if (object.dispose && typeof object.dispose === 'function') {
+        try {
+            object.dispose();
+        } catch (e) {
+            console.warn('Error disposing child:', e);
+        }
+    }
+}
+
+/**
+ * Removes every placed hazard and disposes anything else left in the content group
  */
-async function createContentForSurface(surfaceType) {
-    console.log(`Creating content for surface type: ${surfaceType}`);
+function clearHazards() {
+    placedHazards.slice().forEach(removeHazard);
+    placedHazards = [];
+    gazedHazard = null;
+    quizHazard = null;
     
-    // Clear existing content
-    while (contentGroup.children.length > 0) {
+    while (contentGroup && contentGroup.children.length > 0) {
         const child = contentGroup.children[0];
         contentGroup.remove(child);
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-            if (Array.isArray(child.material)) {
-                child.material.forEach(mat => mat.dispose());
-            } else {
-                child.material.dispose();
-            }
-        }
-        if (child.traverse) {
-            child.traverse((obj) => {
-                if (obj.geometry) obj.geometry.dispose();
-                if (obj.material) {
-                    if (Array.isArray(obj.material)) {
-                        obj.material.forEach(mat => mat.dispose());
-                    } else {
-                        obj.material.dispose();
-                    }
-                }
-            });
+        disposeObject(child);
+    }
+}
+
+/**
+ * Picks a scenario for a surface type and loads it into a new hazard that is not placed yet
+ * @param {string} surfaceType - 'wall', 'floor', 'ceiling' or 'elevated'
+ * @returns {Promise<Object|null>} The hazard, or null if no scenario matches
+ */
+async function createHazardForSurface(surfaceType) {
+    console.log(`Creating hazard for surface type: ${surfaceType}`);
+    
+    let scenario = null;
+    try {
+        scenario = window.ScenarioManager ? await window.ScenarioManager.pickScenario(surfaceType) : null;
+    } catch (error) {
+        console.error('Failed to resolve scenario:', error);
+    }
+    
+    if (!scenario) {
+        console.warn(`No scenario available for surface type: ${surfaceType}`);
+        if (window.Toast) {
+            window.Toast.warning(`No hazard scenario is configured for ${surfaceType} surfaces.`, 'No Scenario', 4000, true);
         }
-        if (child.dispose) child.dispose();
+        return null;
     }
     
-    cubeMesh = null;
-    wireModel = null;
-    puddleModel = null;
-    placedSurfaceType = surfaceType;
+    return createHazard(scenario, surfaceType);
+}
+
+/**
+ * Returns the scenario of a hazard from createHazardForSurface() that is discarded
+ * without being placed, so it still counts as unseen in its no-repeat round
+ * @param {Object} hazard - Hazard that was never placed
+ */
+function returnUnshownScenario(hazard) {
+    if (window.ScenarioManager && window.ScenarioManager.returnScenario) {
+        window.ScenarioManager.returnScenario(hazard.surfaceType, hazard.scenario.id);
+    }
+}
+
+/**
+ * Loads a scenario into a new hazard that is not placed yet.
+ * The scenario (model, scale, offset, materials, quiz) comes from scenarios.json.
+ * Each hazard keeps its own group, animations, sound, gaze timer and quiz state:
+ * { id, scenario, surfaceType, group, model, fallbackMesh, mixer, clips, sound,
+ *   gazeTimer, isGazing, quizCompleted, size, imageTargetId, anchor, anchorOffset,
+ *   persistentHandle, removed }
+ * @param {Object} scenario - Scenario from scenarios.json
+ * @param {string} surfaceType - Surface the hazard is placed on
+ * @returns {Promise<Object>} The hazard
+ */
+async function createHazard(scenario, surfaceType) {
+    const hazard = {
+        id: nextHazardId++,
+        scenario: scenario,
+        surfaceType: surfaceType,
+        group: new THREE.Group(),
+        model: null,
+        fallbackMesh: null, // Spinning placeholder used when the model fails to load
+        mixer: null,
+        clips: [],
+        sound: null,
+        gazeTimer: 0, // Time in milliseconds user has been looking at this hazard
+        isGazing: false,
+        quizCompleted: false,
+        size: null, // Model bounds in the group's space (THREE.Vector3, set once loaded)
+        imageTargetId: null, // Poster the hazard follows in image tracking mode (see IMAGE TRACKING)
+        anchor: null, // XRAnchor the hazard follows (null = static placement)
+        anchorOffset: null, // Hazard pose relative to its anchor
+        persistentHandle: null, // UUID of the anchor saved for later sessions (see PERSISTED HAZARDS)
+        removed: false
+    };
+    hazard.group.userData.hazardId = hazard.id;
     
-    // Track model type for quiz system
-    // Note: Using 'green-cube' for floor to maintain quiz system compatibility
-    // (even though we're now loading puddle.glb instead of a green cube)
-    currentModelType = surfaceType === 'wall' ? 'wire-model' : 'green-cube';
+    if (!scenario.model) {
+        // Scenario has no GLB yet - its placeholder box is the intended content
+        hazard.model = window.ScenarioManager.createPlaceholder(scenario);
+        hazard.group.add(hazard.model);
+        finishHazardContent(hazard);
+        console.log(`Scenario ${scenario.id} has no model - using its placeholder`);
+        return hazard;
+    }
     
-    if (surfaceType === 'wall') {
-        // Load wire.glb for walls - using bouncing-band pattern
-        console.log('Loading wire.glb for wall surface...');
+    console.log(`Loading ${scenario.model} for ${surfaceType} surface (scenario: ${scenario.id})...`);
+    
+    if (window.Toast) {
+        window.Toast.info(`Loading ${scenario.name || scenario.id}...`, 'Loading', 2000, true);
+    }
+    
+    // Only show the loading overlay if the model was not preloaded during the tutorial
+    const needsDownload = !(window.ModelCache && window.ModelCache.isLoaded(scenario.model));
+    if (needsDownload) {
+        showModelLoadingProgress(scenario, 0);
+    }
+    
+    try {
+        const gltf = await loadModel(scenario.model, needsDownload ? (percent) => {
+            showModelLoadingProgress(scenario, percent);
+        } : undefined);
         
-        if (window.Toast) {
-            window.Toast.info('Loading wire model...', 'Loading', 2000, true);
-        }
+        debugLog('GLTF object:', gltf);
+        debugLog('Scene children count:', gltf.scene ? gltf.scene.children.length : 0);
         
-        try {
-            // Initialize the loader if not already done
-            if (!gltfLoader) {
-                gltfLoader = initGLTFLoader();
-            }
-            
-            if (!gltfLoader) {
-                throw new Error('GLTFLoader not available - check that Three.js and GLTFLoader scripts are loaded');
-            }
-            
-            console.log('=== WIRE.GLB LOADING START ===');
-            console.log('Using loadModel() function (bouncing-band pattern)');
-            
-            // Use the loadModel function (bouncing-band pattern)
-            const gltf = await loadModel('/assets/wire.glb');
-            
-            console.log('=== WIRE.GLB LOADED SUCCESSFULLY ===');
-            console.log('GLTF object:', gltf);
-            console.log('Scene children count:', gltf.scene ? gltf.scene.children.length : 0);
-            
-            // Clone the scene so each spawn gets a fresh copy with reset rotation
-            wireModel = gltf.scene.clone();
-            
-            if (!wireModel) {
-                throw new Error('gltf.scene is null or undefined');
-            }
-            
-            // Calculate bounding box to understand model size
-            const box = new THREE.Box3().setFromObject(wireModel);
-            const size = box.getSize(new THREE.Vector3());
-            const center = box.getCenter(new THREE.Vector3());
-            console.log('Model bounding box size:', size);
-            console.log('Model center:', center);
-            
-            // Reset position and scale for fresh spawn
-            // Don't reset rotation - preserve model's original rotation from GLB file
-            wireModel.position.set(0, 0, 0);
-            wireModel.scale.set(1, 1, 1);
-            
-            // Auto-scale model - similar to bouncing-band's approach
-            const maxDimension = Math.max(size.x, size.y, size.z);
-            if (maxDimension > 0) {
-                const targetSize = 0.3; // Target 30cm for largest dimension
-                const scaleFactor = (targetSize / maxDimension) * 0.7; // Scale down to 0.7x size
-                wireModel.scale.set(scaleFactor, scaleFactor, scaleFactor);
-                console.log(`Auto-scaled model by factor: ${scaleFactor.toFixed(2)}`);
-            } else {
-                wireModel.scale.set(1, 1, 1);
-            }
-            
-            // Center the model
-            wireModel.position.sub(center.multiplyScalar(wireModel.scale.x));
-            
-            // Make sure model is visible
-            wireModel.visible = true;
-            wireModel.traverse((child) => {
-                if (child.isMesh) {
-                    child.visible = true;
-                }
-            });
-            
-            contentGroup.add(wireModel);
-            console.log('=== WIRE.GLB ADDED TO SCENE ===');
-            
-            if (window.Toast) {
-                window.Toast.success('Wire model placed!', 'Success', 3000, true);
-            }
-        } catch (error) {
-            console.error('=== FAILED TO LOAD WIRE.GLB ===');
-            console.error('Error:', error?.message || String(error));
-            
-            if (window.Toast) {
-                window.Toast.error(`Failed to load wire model: ${error?.message || 'Unknown error'}`, 'Load Error', 6000, true);
-            }
-            
-            console.log('Falling back to orange box for wall');
-            createWallPlaceholder();
+        // Scale, align and apply material overrides as described by the manifest
+        hazard.model = window.ScenarioManager.createModel(scenario, gltf);
+        
+        hazard.group.add(hazard.model);
+        setupModelAnimations(hazard, gltf.animations);
+        console.log(`=== ${scenario.model} LOADED FOR HAZARD ${hazard.id} ===`);
+        debugLog('Model position:', hazard.model.position, 'scale:', hazard.model.scale);
+        
+        if (window.Toast) {
+            window.Toast.success(`${scenario.name || scenario.id} placed!`, 'Success', 3000, true);
         }
-    } else {
-        // Load puddle.glb for floors - using bouncing-band pattern
-        console.log('Loading puddle.glb for floor surface...');
+    } catch (error) {
+        console.error(`=== FAILED TO LOAD ${scenario.model} ===`);
+        console.error('Error:', error?.message || String(error));
         
         if (window.Toast) {
-            window.Toast.info('Loading puddle model...', 'Loading', 2000, true);
+            window.Toast.error(`Failed to load ${scenario.name || scenario.id}: ${error?.message || 'Unknown error'}`, 'Load Error', 6000, true);
         }
         
-        try {
-            // Initialize the loader if not already done
-            if (!gltfLoader) {
-                gltfLoader = initGLTFLoader();
-            }
-            
-            if (!gltfLoader) {
-                throw new Error('GLTFLoader not available - check that Three.js and GLTFLoader scripts are loaded');
-            }
-            
-            console.log('=== PUDDLE.GLB LOADING START ===');
-            console.log('Using loadModel() function (bouncing-band pattern)');
-            
-            // Use the loadModel function (bouncing-band pattern)
-            const gltf = await loadModel('/assets/puddle.glb');
-            
-            console.log('=== PUDDLE.GLB LOADED SUCCESSFULLY ===');
-            console.log('GLTF object:', gltf);
-            console.log('Scene children count:', gltf.scene ? gltf.scene.children.length : 0);
-            
-            // Clone the scene so each spawn gets a fresh copy with reset rotation
-            puddleModel = gltf.scene.clone();
-            
-            if (!puddleModel) {
-                throw new Error('gltf.scene is null or undefined');
-            }
-            
-            // Calculate bounding box to understand model size
-            const box = new THREE.Box3().setFromObject(puddleModel);
-            const size = box.getSize(new THREE.Vector3());
-            const center = box.getCenter(new THREE.Vector3());
-            console.log('Model bounding box size:', size);
-            console.log('Model center:', center);
-            
-            // Reset position and scale for fresh spawn
-            // Don't reset rotation - preserve model's original rotation from GLB file
-            puddleModel.position.set(0, 0, 0);
-            puddleModel.scale.set(1, 1, 1);
-            
-            // Auto-scale model - make it larger for floor visibility
-            const maxDimension = Math.max(size.x, size.y, size.z);
-            if (maxDimension > 0) {
-                const targetSize = 0.5; // Target 50cm for largest dimension (larger than wire model for floor visibility)
-                const scaleFactor = targetSize / maxDimension;
-                puddleModel.scale.set(scaleFactor, scaleFactor, scaleFactor);
-                console.log(`Auto-scaled puddle model by factor: ${scaleFactor.toFixed(2)}`);
-                console.log(`Puddle model target size: ${targetSize}m, original max dimension: ${maxDimension.toFixed(3)}m`);
-            } else {
-                puddleModel.scale.set(1, 1, 1);
-            }
-            
-            // Position the model on the floor surface
-            // First center the model (same as wire model)
-            puddleModel.position.sub(center.multiplyScalar(puddleModel.scale.x));
-            
-            // Then adjust Y position so the model sits on the floor
-            // The model is now centered, but we need to move it so the bottom is at Y=0
-            // Calculate the bottom of the bounding box after scaling
-            const scaledSize = size.clone().multiplyScalar(puddleModel.scale.x);
-            // The current position.y is the center, so move down by half the height
-            // Then add a small offset to ensure visibility above floor
-            const floorOffset = 0.01; // 1cm above floor
-            puddleModel.position.y = scaledSize.y / 2 + floorOffset;
-            
-            console.log('Puddle model position:', puddleModel.position);
-            console.log('Puddle model scale:', puddleModel.scale);
-            console.log('Puddle model scaled size:', scaledSize);
-            
-            // Helper function to apply puddle material settings
-            const applyPuddleMaterial = (mat) => {
-                if (!mat) return; // Safety check
-                
-                mat.visible = true;
-                // PUDDLE APPEARANCE SETTINGS - Adjust these values to change look
-                // Transparency: Enable FIRST before setting opacity
-                mat.transparent = true;
-                mat.opacity = 0.2; // 0.0 = fully transparent, 1.0 = fully opaque
-                
-                // Colors
-                mat.color = new THREE.Color(0x1a4d6b); // Dark blue base color
-                mat.emissive = new THREE.Color(0x0d3d5c); // Very dark blue for emissive
-                mat.emissiveIntensity = 0.2; // Glow intensity (0.0-1.0)
-                
-                // Material properties
-                if (mat.type === 'MeshStandardMaterial' || mat.type === 'MeshPhysicalMaterial') {
-                    mat.roughness = Math.max(mat.roughness || 1.0, 0.8);
-                    mat.metalness = Math.min(mat.metalness || 0.0, 0.2);
-                }
-                
-                // Force material update
-                mat.needsUpdate = true;
-            };
-            
-            // Make sure model is visible and apply materials
-            puddleModel.visible = true;
-            puddleModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.visible = true;
-                    
-                    // Handle both single material and array of materials
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(applyPuddleMaterial);
-                    } else {
-                        applyPuddleMaterial(child.material);
-                    }
-                }
-            });
-            
-            contentGroup.add(puddleModel);
-            console.log('=== PUDDLE.GLB ADDED TO SCENE ===');
-            console.log('ContentGroup children count:', contentGroup.children.length);
-            console.log('ContentGroup visible:', contentGroup.visible);
-            console.log('PuddleModel visible:', puddleModel.visible);
-            
-            // Debug: Log if multiple puddles are being added (should always be 1)
-            if (contentGroup.children.length > 1) {
-                console.warn('⚠️ WARNING: Multiple children in contentGroup! This should not happen.');
-                console.warn('Children count:', contentGroup.children.length);
-            }
-            
-            // Verify final bounding box after all transformations
-            const finalBox = new THREE.Box3().setFromObject(puddleModel);
-            const finalSize = finalBox.getSize(new THREE.Vector3());
-            const finalCenter = finalBox.getCenter(new THREE.Vector3());
-            console.log('Final puddle model bounding box size:', finalSize);
-            console.log('Final puddle model bounding box center:', finalCenter);
-            
-            if (window.Toast) {
-                window.Toast.success('Puddle model placed!', 'Success', 3000, true);
-            }
-        } catch (error) {
-            console.error('=== FAILED TO LOAD PUDDLE.GLB ===');
-            console.error('Error:', error?.message || String(error));
-            
-            if (window.Toast) {
-                window.Toast.error(`Failed to load puddle model: ${error?.message || 'Unknown error'}`, 'Load Error', 6000, true);
-            }
-            
-            console.log('Falling back to green box for floor');
-            createGreenBox();
+        console.log(`Falling back to placeholder box for ${scenario.id}`);
+        hazard.fallbackMesh = createScenarioPlaceholder(scenario);
+        hazard.group.add(hazard.fallbackMesh);
+    } finally {
+        if (needsDownload) {
+            hideModelLoadingProgress();
         }
     }
+    
+    finishHazardContent(hazard);
+    return hazard;
 }
 
 /**
- * Creates an orange box as placeholder for walls (when wire.glb fails to load)
+ * Measures a loaded hazard, then adds its shadows and depth occlusion
+ * @param {Object} hazard - Hazard whose model (or placeholder) is in its group
  */
-function createWallPlaceholder() {
-    console.log('=== CREATING WALL PLACEHOLDER (ORANGE BOX) ===');
-    console.log('This means wire.glb failed to load or GLTFLoader is not available');
-    
-    const geometry = new THREE.BoxGeometry(0.15, 0.15, 0.02); // Flatter box for wall
-    const material = new THREE.MeshStandardMaterial({ 
-        color: 0xff6b35, // Orange color for wall
-        metalness: 0.3,
-        roughness: 0.6
-    });
-    cubeMesh = new THREE.Mesh(geometry, material);
-    cubeMesh.position.set(0, 0, 0);
-    cubeMesh.visible = true;
-    contentGroup.add(cubeMesh);
+function finishHazardContent(hazard) {
+    // Group is untransformed here, so world bounds are the hazard's local bounds
+    hazard.group.updateMatrixWorld(true);
+    const bounds = new THREE.Box3().setFromObject(hazard.group);
+    hazard.size = bounds.isEmpty() ? new THREE.Vector3(0.3, 0.3, 0.3) : bounds.getSize(new THREE.Vector3());
     
-    console.log('Orange wall placeholder created and added to contentGroup');
-    console.log('Content group visible:', contentGroup.visible);
-    console.log('Content group children count:', contentGroup.children.length);
-    
-    if (window.Toast) {
-        window.Toast.warning('Using placeholder instead of wire.glb', 'Model Not Loaded', 4000, true);
+    addHazardShadows(hazard);
+    applyDepthOcclusion(hazard.group);
+}
+
+/**
+ * Shows the loading overlay with download progress for a scenario's model
+ * @param {Object} scenario - Scenario being loaded
+ * @param {number} percent - Download progress (0-100)
+ */
+function showModelLoadingProgress(scenario, percent) {
+    if (window.ARController && window.ARController.showLoadingProgress) {
+        window.ARController.showLoadingProgress(`Loading ${scenario.name || scenario.id}...`, percent);
     }
 }
 
 /**
- * Creates a green box (default content for floors)
+ * Hides the model loading overlay
  */
-function createGreenBox() {
-    const geometry = new THREE.BoxGeometry(0.1, 0.1, 0.1);
-    const material = new THREE.MeshStandardMaterial({ 
-        color: 0x00ff00,
-        metalness: 0.3,
-        roughness: 0.6
-    });
-    cubeMesh = new THREE.Mesh(geometry, material);
-    cubeMesh.position.set(0, 0.05, 0); // Raise slightly above surface
-    contentGroup.add(cubeMesh);
-    console.log('Green box created for floor');
+function hideModelLoadingProgress() {
+    if (window.ARController && window.ARController.hideLoadingProgress) {
+        window.ARController.hideLoadingProgress();
+    }
+}
+
+/**
+ * Creates a placeholder box for a scenario (when its model fails to load)
+ * @param {Object} scenario - Scenario from scenarios.json
+ * @returns {THREE.Mesh} The placeholder box
+ */
+function createScenarioPlaceholder(scenario) {
+    const placeholder = window.ScenarioManager.createPlaceholder(scenario);
+    
+    if (window.Toast) {
+        window.Toast.warning(`Using placeholder instead of ${scenario.model}`, 'Model Not Loaded', 4000, true);
+    }
+    
+    return placeholder;
 }
 
 // ============================================================================
-// TAP TO PLACE
+// GROUNDING SHADOWS
 // ============================================================================
+// Without shadows, floor content such as the puddle appears to float. Floor and
+// desk hazards get an invisible plane (ShadowMaterial) that only shows the
+// shadow cast by the hazard; wall hazards get a soft contact shadow decal.
+// Only hazard meshes cast shadows, and the directional light's shadow camera is
+// fitted around the placed hazards so a small shadow map is enough on phones.
 
 /**
- * Checks if user is too far from the auto-spawned model
- * @param {THREE.Vector3} userPosition - Current user/camera position
- * @returns {boolean} True if user is too far from spawn location
+ * Enables shadow mapping on the renderer and the main directional light
  */
-function checkUserDistanceFromSpawn(userPosition) {
-    if (!autoSpawnPosition || !userPosition) {
-        return false;
-    }
+function setupShadows() {
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     
-    const distance = userPosition.distanceTo(autoSpawnPosition);
-    return distance > autoSpawnDistance;
+    directionalLight.castShadow = true;
+    directionalLight.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    directionalLight.shadow.bias = -0.0005;
+    directionalLight.shadow.normalBias = 0.02;
+    // The target follows the placed hazards (see updateShadowFrustum)
+    scene.add(directionalLight.target);
 }
 
 /**
- * Infers surface type based on camera gaze direction
- * Looking mostly horizontal = wall, looking down = floor
- * @returns {string} 'wall' or 'floor'
+ * Makes a hazard cast shadows and adds its shadow catcher or contact shadow.
+ * Called before the hazard is placed, once hazard.size has been measured.
+ * @param {Object} hazard - Hazard from createHazard()
  */
-function inferSurfaceTypeFromGaze(direction) {
-    // direction.y indicates vertical component:
-    // - Near 0 = looking horizontally (wall)
-    // - Negative = looking down (floor)
-    // - Positive = looking up (ceiling)
-    const lookingDownThreshold = -0.3; // Looking down more than ~17 degrees
-    const lookingHorizontalThreshold = 0.3; // Looking within ~17 degrees of horizontal
+function addHazardShadows(hazard) {
+    hazard.group.traverse((obj) => {
+        if (obj.isMesh) {
+            obj.castShadow = true;
+            obj.receiveShadow = false; // Self-shadowing darkens models too much in AR
+        }
+    });
     
-    if (direction.y > lookingDownThreshold && direction.y < lookingHorizontalThreshold) {
-        // Looking mostly horizontal - likely aiming at a wall
-        return 'wall';
-    } else if (direction.y <= lookingDownThreshold) {
-        // Looking down - likely aiming at floor
-        return 'floor';
-    } else {
-        // Looking up - default to wall (ceiling could work too)
-        return 'wall';
+    const size = hazard.size;
+    if (hazard.surfaceType === 'floor' || hazard.surfaceType === 'elevated') {
+        hazard.group.add(createShadowCatcher(size));
+    } else if (hazard.surfaceType === 'wall') {
+        hazard.group.add(createContactShadow(size));
+    }
+}
+
+/**
+ * Creates an invisible plane that only renders shadows, lying on the surface (local XZ plane)
+ * @param {THREE.Vector3} size - Hazard bounds
+ * @returns {THREE.Mesh} Shadow catcher
+ */
+function createShadowCatcher(size) {
+    // Large enough for the shadow of a light that is not directly overhead
+    const extent = Math.max(size.x, size.z, size.y, 0.3) * 3;
+    const geometry = new THREE.PlaneGeometry(extent, extent).rotateX(-Math.PI / 2);
+    const material = new THREE.ShadowMaterial({ opacity: SHADOW_OPACITY });
+    
+    const catcher = new THREE.Mesh(geometry, material);
+    catcher.name = 'shadow-catcher';
+    catcher.position.y = 0.001; // Just above the surface to avoid z-fighting with the model base
+    catcher.receiveShadow = true;
+    catcher.castShadow = false;
+    catcher.raycast = () => {}; // Not part of the hazard for gaze detection
+    return catcher;
+}
+
+/**
+ * Creates a soft dark blob lying on the wall behind wall-mounted content (local XY plane)
+ * @param {THREE.Vector3} size - Hazard bounds
+ * @returns {THREE.Mesh} Contact shadow decal
+ */
+function createContactShadow(size) {
+    const width = Math.max(size.x, 0.1) * 1.4;
+    const height = Math.max(size.y, 0.1) * 1.4;
+    const texture = new THREE.CanvasTexture(getContactShadowCanvas());
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        opacity: SHADOW_OPACITY,
+        depthWrite: false
+    });
+    
+    const decal = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+    decal.name = 'contact-shadow';
+    decal.position.z = 0.002; // Wall normal is +Z in the group's space
+    decal.renderOrder = -1; // Draw before the model so it sits underneath
+    decal.raycast = () => {}; // Not part of the hazard for gaze detection
+    return decal;
+}
+
+/**
+ * Returns the radial gradient used by contact shadows (drawn once, shared between decals)
+ * @returns {HTMLCanvasElement}
+ */
+function getContactShadowCanvas() {
+    if (contactShadowCanvas) {
+        return contactShadowCanvas;
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(0.5, 'rgba(0, 0, 0, 0.5)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+    
+    contactShadowCanvas = canvas;
+    return canvas;
+}
+
+/**
+ * Fits the directional light's shadow camera around the visible placed hazards
+ */
+function updateShadowFrustum() {
+    if (!directionalLight || !directionalLight.castShadow) {
+        return;
+    }
+    
+    const visibleHazards = placedHazards.filter(hazard => hazard.group.visible);
+    if (visibleHazards.length === 0) {
+        return;
+    }
+    
+    // Centre of the hazards, and the radius that covers all of them plus their shadows
+    const center = _shadowCenter.set(0, 0, 0);
+    visibleHazards.forEach(hazard => {
+        center.add(hazard.group.getWorldPosition(_shadowPoint));
+    });
+    center.divideScalar(visibleHazards.length);
+    
+    let radius = 0;
+    visibleHazards.forEach(hazard => {
+        radius = Math.max(radius, hazard.group.getWorldPosition(_shadowPoint).distanceTo(center));
+    });
+    radius += SHADOW_MARGIN;
+    
+    directionalLight.target.position.copy(center);
+    directionalLight.position.copy(center).addScaledVector(primaryLightDirection, radius * 2);
+    
+    const shadowCamera = directionalLight.shadow.camera;
+    shadowCamera.left = -radius;
+    shadowCamera.right = radius;
+    shadowCamera.top = radius;
+    shadowCamera.bottom = -radius;
+    shadowCamera.near = 0.01;
+    shadowCamera.far = radius * 4;
+    shadowCamera.updateProjectionMatrix();
+}
+
+// ============================================================================
+// PLACED HAZARDS
+// ============================================================================
+// Every tap or auto-spawn adds a hazard instead of replacing the previous one,
+// so a trainee can set up a wire on the wall and a puddle on the floor and work
+// through both. Each hazard's group is a child of contentGroup.
+
+/**
+ * Positions a hazard's group on a detected surface using the reticle's pose
+ * @param {THREE.Group} group - Hazard group
+ * @param {THREE.Matrix4} surfaceMatrix - Reticle matrix captured when the hazard was requested
+ * @param {string} surfaceType - 'wall', 'floor', 'ceiling' or 'elevated'
+ */
+function applySurfacePlacement(group, surfaceMatrix, surfaceType) {
+    // CRITICAL: Reset all transforms before applying new ones
+    group.position.set(0, 0, 0);
+    group.rotation.set(0, 0, 0);
+    group.scale.set(1, 1, 1);
+    group.quaternion.set(0, 0, 0, 1);
+    group.matrix.identity();
+    
+    // The reticle is already correctly oriented with the detected surface
+    group.position.setFromMatrixPosition(surfaceMatrix);
+    group.quaternion.setFromRotationMatrix(surfaceMatrix);
+    
+    // For wall surfaces, rotate the content 90 degrees upward to face outward from the wall
+    // The model is currently facing downward, so we rotate around X-axis
+    if (surfaceType === 'wall') {
+        const upwardRotation = new THREE.Quaternion().setFromAxisAngle(
+            new THREE.Vector3(1, 0, 0),
+            -Math.PI / 2
+        );
+        // apply AFTER current orientation (local space)
+        group.quaternion.multiply(upwardRotation);
+    }
+    
+    // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
+    // This prevents jitter from matrix/transform mismatches
+    group.updateMatrix();
+    group.matrixAutoUpdate = true;
+}
+
+/**
+ * Positions a hazard's group in front of the camera when no surface was detected
+ * @param {THREE.Group} group - Hazard group
+ * @param {THREE.Vector3} cameraPosition - Camera position when the hazard was requested
+ * @param {THREE.Vector3} cameraDirection - Normalized camera forward direction
+ * @param {string} surfaceType - Surface type inferred from the gaze direction
+ */
+function applyGazePlacement(group, cameraPosition, cameraDirection, surfaceType) {
+    const placementDistance = 1.0; // 1 meter
+    group.position.copy(cameraPosition);
+    group.position.addScaledVector(cameraDirection, placementDistance);
+    
+    // Adjust vertical position based on surface type
+    if (surfaceType === 'floor') {
+        group.position.y = cameraPosition.y - 1.0; // Assume ~1m below camera is floor
+    } else if (surfaceType === 'ceiling') {
+        group.position.y = cameraPosition.y + 1.2; // Assume ~1.2m above camera is ceiling
+    }
+    // For walls, keep at the aimed position
+    
+    // Face towards camera
+    group.lookAt(cameraPosition);
+    
+    // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
+    group.updateMatrix();
+    group.matrixAutoUpdate = true;
+}
+
+/**
+ * Adds a positioned hazard to the scene and starts its sound.
+ * The oldest hazard is removed once MAX_PLACED_HAZARDS are in the scene.
+ * @param {Object} hazard - Hazard from createHazardForSurface()
+ */
+function placeHazard(hazard) {
+    while (placedHazards.length >= MAX_PLACED_HAZARDS) {
+        const oldest = placedHazards[0];
+        console.log(`Hazard limit reached - removing hazard ${oldest.id} (${oldest.scenario.id})`);
+        forgetPersistedHazard(oldest);
+        removeHazard(oldest);
+    }
+    
+    contentGroup.add(hazard.group);
+    placedHazards.push(hazard);
+    isAnchored = true;
+    
+    // Clear smoothing buffer after placement
+    recentHitTestPoses = [];
+    
+    startHazardAudio(hazard);
+    debugLog(`Hazard ${hazard.id} (${hazard.scenario.id}) placed - ${placedHazards.length} in scene`);
+}
+
+/**
+ * Removes a hazard from the scene and releases its animations, sound and GPU resources
+ * @param {Object} hazard - Placed hazard
+ */
+function removeHazard(hazard) {
+    hazard.removed = true;
+    stopModelAnimations(hazard);
+    stopHazardAudio(hazard);
+    
+    if (hazard.anchor) {
+        deleteAnchor(hazard.anchor);
+        hazard.anchor = null;
+    }
+    
+    if (hazard.group.parent) {
+        hazard.group.parent.remove(hazard.group);
+    }
+    disposeObject(hazard.group);
+    
+    placedHazards = placedHazards.filter(placed => placed !== hazard);
+    isAnchored = placedHazards.length > 0;
+    
+    if (gazedHazard === hazard) {
+        gazedHazard = null;
+        hideQuizButton();
+    }
+    if (quizHazard === hazard) {
+        quizHazard = null;
+    }
+}
+
+// ============================================================================
+// ANCHORS
+// ============================================================================
+// When the session grants the 'anchors' feature, hazards placed on a detected
+// surface are attached to an XRAnchor and follow its tracked pose every frame,
+// so they stay put as the device refines its understanding of the room.
+// Without anchors the placement matrix stays static (the original behaviour).
+
+/**
+ * Requests an XRAnchor for a surface placement. Must be called while `frame` is
+ * active (inside the render loop or a select event) - the model loads afterwards.
+ * @param {XRFrame} frame - Active frame
+ * @param {THREE.Matrix4} poseMatrix - Placement pose in the reference space
+ * @param {XRHitTestResult} [hitResult] - Hit-test result from this same frame (anchors to the detected surface)
+ * @returns {Promise<XRAnchor>|null} The pending anchor, or null if anchors are unavailable
+ */
+function requestPlacementAnchor(frame, poseMatrix, hitResult) {
+    if (!anchorsSupported || !frame || !xrReferenceSpace) {
+        return null;
+    }
+    
+    try {
+        if (hitResult && typeof hitResult.createAnchor === 'function') {
+            return hitResult.createAnchor();
+        }
+        
+        if (typeof frame.createAnchor === 'function' && typeof XRRigidTransform !== 'undefined') {
+            const position = new THREE.Vector3().setFromMatrixPosition(poseMatrix);
+            const orientation = new THREE.Quaternion().setFromRotationMatrix(poseMatrix);
+            const transform = new XRRigidTransform(
+                { x: position.x, y: position.y, z: position.z },
+                { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+            );
+            return frame.createAnchor(transform, xrReferenceSpace);
+        }
+    } catch (error) {
+        console.warn('Could not request anchor - using static placement:', error);
+    }
+    
+    return null;
+}
+
+/**
+ * Attaches a pending anchor to a placed hazard. The hazard keeps its static
+ * placement if the anchor cannot be created.
+ * @param {Object} hazard - Placed hazard
+ * @param {Promise<XRAnchor>} anchorRequest - Result of requestPlacementAnchor()
+ */
+async function attachHazardAnchor(hazard, anchorRequest) {
+    if (!anchorRequest) {
+        return;
+    }
+    
+    try {
+        const anchor = await anchorRequest;
+        
+        // The hazard may have been removed while the anchor was being created
+        if (hazard.removed) {
+            deleteAnchor(anchor);
+            return;
+        }
+        
+        hazard.anchor = anchor;
+        hazard.anchorOffset = null; // Measured on the first frame the anchor is tracked
+        debugLog(`Hazard ${hazard.id} anchored`);
+        
+        // Keep it for later sessions on this device where supported
+        requestPersistentHandle(hazard);
+    } catch (error) {
+        console.warn(`Anchor for hazard ${hazard.id} failed - using static placement:`, error);
+    }
+}
+
+/**
+ * Moves anchored hazards to follow their anchors' latest tracked poses
+ * @param {XRFrame} frame - Current XR frame
+ */
+function updateAnchoredHazards(frame) {
+    if (!anchorsSupported || !frame.trackedAnchors) {
+        return;
+    }
+    
+    placedHazards.forEach(hazard => {
+        // Anchors that are not tracked this frame keep the hazard at its last pose
+        if (!hazard.anchor || !frame.trackedAnchors.has(hazard.anchor)) {
+            return;
+        }
+        
+        const anchorPose = frame.getPose(hazard.anchor.anchorSpace, xrReferenceSpace);
+        if (!anchorPose) {
+            return;
+        }
+        
+        _tempMatrix.fromArray(anchorPose.transform.matrix);
+        
+        // The hazard's placement relative to its anchor (includes the wall rotation and
+        // the difference between the smoothed reticle and the raw hit pose)
+        if (!hazard.anchorOffset) {
+            hazard.group.updateMatrix();
+            hazard.anchorOffset = _tempMatrix.clone().invert().multiply(hazard.group.matrix);
+            savePersistedHazard(hazard);
+        }
+        
+        _tempMatrix.multiply(hazard.anchorOffset);
+        _tempMatrix.decompose(hazard.group.position, hazard.group.quaternion, hazard.group.scale);
+        hazard.group.visible = true; // Restored hazards stay hidden until first tracked
+    });
+}
+
+/**
+ * Deletes an anchor, ignoring errors from sessions that have already ended
+ * @param {XRAnchor} anchor - Anchor to delete
+ */
+function deleteAnchor(anchor) {
+    try {
+        anchor.delete();
+    } catch (e) {
+        console.warn('Error deleting anchor:', e);
+    }
+}
+
+// ============================================================================
+// PERSISTED HAZARDS
+// ============================================================================
+// Where persistent anchors are supported, anchored hazards are saved on this
+// device (anchor UUID + scenario ID + pose relative to the anchor) and restored
+// on the next initWebXR(), so a trainer can set up a room once and trainees on
+// the same device find the hazards already in place. Quiz completion is only
+// remembered for the current page visit (so each trainee starts fresh).
+
+const PERSISTED_HAZARDS_KEY = 'persistedHazards';
+const completedPersistentHandles = new Set(); // Saved hazards whose quiz was completed this visit
+
+/**
+ * Reads the saved hazard records
+ * @returns {Array<Object>} Records of { uuid, scenarioId, surfaceType, offset }
+ */
+function loadPersistedHazards() {
+    try {
+        const records = JSON.parse(localStorage.getItem(PERSISTED_HAZARDS_KEY) || '[]');
+        return Array.isArray(records) ? records : [];
+    } catch (e) {
+        console.warn('Could not read saved hazards:', e);
+        return [];
+    }
+}
+
+/**
+ * Writes the saved hazard records
+ * @param {Array<Object>} records - Records of { uuid, scenarioId, surfaceType, offset }
+ */
+function savePersistedHazards(records) {
+    try {
+        localStorage.setItem(PERSISTED_HAZARDS_KEY, JSON.stringify(records));
+    } catch (e) {
+        console.warn('Could not save hazards:', e);
+    }
+}
+
+/**
+ * Asks the browser to keep a hazard's anchor across sessions
+ * @param {Object} hazard - Anchored hazard
+ */
+async function requestPersistentHandle(hazard) {
+    if (!persistentAnchorsSupported || !hazard.anchor || hazard.persistentHandle) {
+        return;
+    }
+    
+    try {
+        hazard.persistentHandle = await hazard.anchor.requestPersistentHandle();
+        debugLog(`Hazard ${hazard.id} anchor persisted as ${hazard.persistentHandle}`);
+        savePersistedHazard(hazard);
+    } catch (error) {
+        console.warn(`Could not persist anchor for hazard ${hazard.id}:`, error);
+    }
+}
+
+/**
+ * Saves a hazard's record once both its persistent handle and anchor offset are known
+ * @param {Object} hazard - Anchored hazard
+ */
+function savePersistedHazard(hazard) {
+    if (hazard.removed || !hazard.persistentHandle || !hazard.anchorOffset) {
+        return;
+    }
+    
+    const records = loadPersistedHazards().filter(record => record.uuid !== hazard.persistentHandle);
+    records.push({
+        uuid: hazard.persistentHandle,
+        scenarioId: hazard.scenario.id,
+        surfaceType: hazard.surfaceType,
+        offset: hazard.anchorOffset.toArray()
+    });
+    savePersistedHazards(records);
+}
+
+/**
+ * Removes a hazard's saved record and releases its persistent anchor
+ * @param {Object} hazard - Hazard that is being removed on purpose
+ */
+function forgetPersistedHazard(hazard) {
+    if (!hazard.persistentHandle) {
+        return;
+    }
+    
+    savePersistedHazards(loadPersistedHazards().filter(record => record.uuid !== hazard.persistentHandle));
+    deletePersistentAnchor(hazard.persistentHandle);
+    hazard.persistentHandle = null;
+}
+
+/**
+ * Removes every saved hazard (including ones not restored in this session)
+ */
+function forgetPersistedHazards() {
+    const records = loadPersistedHazards();
+    records.forEach(record => deletePersistentAnchor(record.uuid));
+    placedHazards.forEach(hazard => {
+        hazard.persistentHandle = null;
+    });
+    savePersistedHazards([]);
+    
+    if (records.length > 0) {
+        console.log(`Forgot ${records.length} saved hazard(s)`);
+    }
+}
+
+/**
+ * Releases a persistent anchor in the browser's store (best effort)
+ * @param {string} uuid - Persistent anchor handle
+ */
+function deletePersistentAnchor(uuid) {
+    if (!xrSession || typeof xrSession.deletePersistentAnchor !== 'function') {
+        return;
+    }
+    
+    xrSession.deletePersistentAnchor(uuid).catch(error => {
+        console.warn(`Could not delete persistent anchor ${uuid}:`, error);
+    });
+}
+
+/**
+ * Restores the hazards saved on this device. Each one stays hidden until its
+ * anchor is tracked; records whose anchor or scenario no longer exists are dropped.
+ */
+async function restorePersistedHazards() {
+    const records = loadPersistedHazards();
+    if (!persistentAnchorsSupported || records.length === 0) {
+        return;
+    }
+    
+    // The room is already set up - don't auto-spawn on top of it
+    hasAutoSpawned = true;
+    
+    try {
+        await window.ScenarioManager.loadManifest();
+    } catch (error) {
+        console.error('Cannot restore saved hazards without the scenario manifest:', error);
+        return;
+    }
+    
+    const session = xrSession;
+    const dropped = new Set(); // UUIDs of records that can no longer be restored
+    let restoredCount = 0;
+    
+    for (const record of records) {
+        const scenario = window.ScenarioManager.getScenario(record.scenarioId);
+        if (!scenario || !Array.isArray(record.offset) || record.offset.length !== 16) {
+            console.warn(`Dropping saved hazard ${record.uuid} - scenario "${record.scenarioId}" is unavailable`);
+            deletePersistentAnchor(record.uuid);
+            dropped.add(record.uuid);
+            continue;
+        }
+        
+        let anchor;
+        try {
+            anchor = await session.restorePersistentAnchor(record.uuid);
+        } catch (error) {
+            console.warn(`Dropping saved hazard ${record.uuid} - its anchor could not be restored:`, error);
+            dropped.add(record.uuid);
+            continue;
+        }
+        
+        // The session may have ended while restoring
+        if (session !== xrSession) {
+            deleteAnchor(anchor);
+            return;
+        }
+        
+        const hazard = await createHazard(scenario, record.surfaceType);
+        if (session !== xrSession) {
+            deleteAnchor(anchor);
+            return;
+        }
+        
+        hazard.anchor = anchor;
+        hazard.anchorOffset = new THREE.Matrix4().fromArray(record.offset);
+        hazard.persistentHandle = record.uuid;
+        hazard.quizCompleted = completedPersistentHandles.has(record.uuid);
+        hazard.group.visible = false; // Shown once the anchor is tracked
+        placeHazard(hazard);
+        restoredCount++;
+    }
+    
+    // Re-read the records: hazards placed while restoring may have been saved since
+    savePersistedHazards(loadPersistedHazards().filter(record => !dropped.has(record.uuid)));
+    
+    if (restoredCount > 0) {
+        console.log(`Restored ${restoredCount} saved hazard(s)`);
+        if (window.Toast) {
+            window.Toast.info(`Restored ${restoredCount} hazard${restoredCount === 1 ? '' : 's'} placed earlier on this device.`, 'Hazards Restored', 4000);
+        }
+    }
+}
+
+// ============================================================================
+// HAZARD ANIMATION
+// ============================================================================
+
+/**
+ * Creates the AnimationMixer for a hazard's model and starts its looping clips
+ * @param {Object} hazard - Hazard whose model was just built
+ * @param {Array<THREE.AnimationClip>} clips - Clips from the model's GLB (gltf.animations)
+ */
+function setupModelAnimations(hazard, clips) {
+    stopModelAnimations(hazard);
+    
+    if (!Array.isArray(clips) || clips.length === 0) {
+        return;
+    }
+    
+    hazard.mixer = new THREE.AnimationMixer(hazard.model);
+    hazard.clips = clips;
+    
+    window.ScenarioManager.getAnimationClips(hazard.scenario, 'loop', clips).forEach(clip => {
+        const action = hazard.mixer.clipAction(clip);
+        action.setLoop(THREE.LoopRepeat, Infinity);
+        action.play();
+    });
+    
+    debugLog(`Animations ready for ${hazard.scenario.id}:`, clips.map(clip => clip.name));
+}
+
+/**
+ * Plays the clips configured for a one-shot trigger from the start
+ * @param {Object} hazard - Placed hazard
+ * @param {string} trigger - 'onGaze' or 'onWrongAnswer'
+ */
+function playScenarioAnimation(hazard, trigger) {
+    if (!hazard || !hazard.mixer) {
+        return;
+    }
+    
+    window.ScenarioManager.getAnimationClips(hazard.scenario, trigger, hazard.clips).forEach(clip => {
+        const action = hazard.mixer.clipAction(clip);
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = false;
+        action.reset().play();
+    });
+}
+
+/**
+ * Stops and releases a hazard's animations
+ * @param {Object} hazard - Placed hazard
+ */
+function stopModelAnimations(hazard) {
+    if (hazard.mixer) {
+        hazard.mixer.stopAllAction();
+        hazard.mixer.uncacheRoot(hazard.mixer.getRoot());
+    }
+    hazard.mixer = null;
+    hazard.clips = [];
+}
+
+// Quiz events refer to the hazard whose quiz was opened from the quiz button
+if (typeof window !== 'undefined') {
+    // Play the "wrong answer" clips on a wrong answer
+    window.addEventListener('quiz:answer', (e) => {
+        const detail = e.detail || {};
+        if (!detail.correct && quizHazard && detail.modelType === quizHazard.scenario.quizKey) {
+            playScenarioAnimation(quizHazard, 'onWrongAnswer');
+        }
+    });
+    
+    // A passed quiz completes its hazard - the quiz button is no longer offered for it
+    window.addEventListener('quiz:complete', (e) => {
+        const detail = e.detail || {};
+        if (quizHazard && detail.passed !== false && detail.modelType === quizHazard.scenario.quizKey) {
+            quizHazard.quizCompleted = true;
+            if (quizHazard.persistentHandle) {
+                completedPersistentHandles.add(quizHazard.persistentHandle);
+            }
+            debugLog(`Hazard ${quizHazard.id} quiz completed`);
+        }
+    });
+}
+
+// ============================================================================
+// HAZARD AUDIO
+// ============================================================================
+
+/**
+ * Starts a hazard's positional sound cue at its group's origin
+ * @param {Object} hazard - Placed hazard (its scenario's `audio` block picks the sound)
+ */
+async function startHazardAudio(hazard) {
+    stopHazardAudio(hazard);
+    
+    if (!window.HazardAudio || !hazard.scenario.audio) {
+        return;
+    }
+    
+    try {
+        const sound = await window.HazardAudio.createPositionalAudio(hazard.scenario);
+        if (!sound) {
+            return;
+        }
+        
+        // The hazard may have been removed while the sound was loading
+        if (hazard.removed) {
+            window.HazardAudio.stopSound(sound);
+            return;
+        }
+        
+        stopHazardAudio(hazard);
+        hazard.sound = sound;
+        hazard.group.add(sound);
+        debugLog(`Hazard audio playing for ${hazard.scenario.id}`);
+    } catch (error) {
+        // Audio is a nice-to-have - the hazard stays placed without it
+        console.warn(`Could not start audio for ${hazard.scenario.id}:`, error);
+    }
+}
+
+/**
+ * Stops a hazard's sound cue
+ * @param {Object} hazard - Placed hazard
+ */
+function stopHazardAudio(hazard) {
+    if (hazard.sound && window.HazardAudio) {
+        window.HazardAudio.stopSound(hazard.sound);
+    }
+    hazard.sound = null;
+}
+
+/**
+ * Syncs the mute button icon and label with the current mute state
+ */
+function updateMuteButton() {
+    const muteButton = document.getElementById('mute-button');
+    if (!muteButton || !window.HazardAudio) {
+        return;
+    }
+    
+    const muted = window.HazardAudio.isMuted();
+    muteButton.textContent = muted ? '🔇' : '🔊';
+    muteButton.setAttribute('aria-label', muted ? 'Unmute hazard sounds' : 'Mute hazard sounds');
+    muteButton.setAttribute('aria-pressed', String(muted));
+}
+
+// ============================================================================
+// TAP TO PLACE
+// ============================================================================
+
+/**
+ * Checks if user is too far from the auto-spawned model
+ * @param {THREE.Vector3} userPosition - Current user/camera position
+ * @returns {boolean} True if user is too far from spawn location
+ */
+function checkUserDistanceFromSpawn(userPosition) {
+    if (!autoSpawnPosition || !userPosition) {
+        return false;
+    }
+    
+    const distance = userPosition.distanceTo(autoSpawnPosition);
+    return distance > autoSpawnDistance;
+}
+
+/**
+ * Infers surface type based on camera gaze direction
+ * Looking mostly horizontal = wall, looking down = floor, looking up = ceiling
+ * @returns {string} 'wall', 'floor' or 'ceiling'
+ */
+function inferSurfaceTypeFromGaze(direction) {
+    // direction.y indicates vertical component:
+    // - Near 0 = looking horizontally (wall)
+    // - Negative = looking down (floor)
+    // - Positive = looking up (ceiling)
+    const lookingDownThreshold = -0.3; // Looking down more than ~17 degrees
+    const lookingHorizontalThreshold = 0.3; // Looking within ~17 degrees of horizontal
+    
+    if (direction.y > lookingDownThreshold && direction.y < lookingHorizontalThreshold) {
+        // Looking mostly horizontal - likely aiming at a wall
+        return 'wall';
+    } else if (direction.y <= lookingDownThreshold) {
+        // Looking down - likely aiming at floor
+        return 'floor';
+    } else {
+        // Looking up - likely aiming at the ceiling
+        return 'ceiling';
     }
 }
 
 function setupTapToPlace() {
     if (!xrSession) return;
     
-    xrSession.addEventListener('select', async () => {
-        // If we have a valid reticle (hit-test result), always (re)place the
-        // content at that location and choose the asset based on the currently
-        // detected surface type. This allows:
-        // - First tap on a wall → spawn wire.glb
-        // - Second tap on the floor → replace with green cube
+    xrSession.addEventListener('select', async (event) => {
+        if (window.XRRecorder) {
+            window.XRRecorder.recordSelect();
+        }
+        
+        // While a quiz is open in AR, taps answer it instead of placing hazards
+        if (inSessionQuiz) {
+            if (inSessionQuiz === 'panel' && window.XRQuizPanel) {
+                const ray = getSelectRay(event);
+                if (ray) {
+                    window.XRQuizPanel.handleSelect(ray.origin, ray.direction);
+                }
+            }
+            return;
+        }
+        
+        // Every tap adds another hazard (earlier ones stay in place), choosing the
+        // scenario from the surface being aimed at. This allows:
+        // - First tap on a wall → spawn a wall scenario (e.g. wire.glb)
+        // - Second tap on the floor → add a floor scenario (e.g. puddle.glb) next to it
         // Note: Check for valid reticle matrix and surface type, not just visibility
         // (reticle may be hidden in debug mode when pointing at model to avoid occlusion)
         if (reticle && reticle.matrix && currentSurfaceType) {
-            // Create appropriate content based on detected surface type
-            await createContentForSurface(currentSurfaceType);
-            
-            // CRITICAL: Reset all transforms before applying new ones
-            // This ensures each spawn starts fresh and doesn't retain previous rotation
-            contentGroup.position.set(0, 0, 0);
-            contentGroup.rotation.set(0, 0, 0);
-            contentGroup.scale.set(1, 1, 1);
-            contentGroup.quaternion.set(0, 0, 0, 1); // Reset quaternion to identity
-            contentGroup.matrix.identity();
-            
-            // CRITICAL: Copy the reticle's matrix directly to ensure perfect alignment
-            // The reticle is already correctly oriented with the detected surface
-            contentGroup.matrix.copy(reticle.matrix);
-            
-            // Extract position and rotation from the matrix
-            contentGroup.position.setFromMatrixPosition(reticle.matrix);
-            
-            // Extract quaternion from reticle matrix to ensure exact same orientation
-            const reticleQuaternion = new THREE.Quaternion();
-            reticleQuaternion.setFromRotationMatrix(reticle.matrix);
-            contentGroup.quaternion.copy(reticleQuaternion);
+            // Capture the tapped surface now - the reticle keeps moving while the model loads
+            const surfaceType = currentSurfaceType;
+            const surfaceMatrix = reticle.matrix.clone();
+            const surfaceExtents = currentSurfaceExtents;
             
-            // For wall surfaces, rotate the content 90 degrees upward to face outward from the wall
-            // The model is currently facing downward, so we rotate around X-axis
-            if (currentSurfaceType === 'wall') {
-                const upwardRotation = new THREE.Quaternion().setFromAxisAngle(
-                  new THREE.Vector3(1, 0, 0),
-                  -Math.PI / 2
-                );
-              
-                // apply AFTER current orientation (local space)
-                contentGroup.quaternion.multiply(upwardRotation);
-              }
+            // The anchor must be requested while the select event's frame is active
+            const anchorRequest = requestPlacementAnchor(event.frame, surfaceMatrix);
             
-            // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
-            // This prevents jitter from matrix/transform mismatches
-            contentGroup.updateMatrix();
+            const hazard = await createHazardForSurface(surfaceType);
+            if (!hazard || !hazardFitsSurface(hazard, surfaceExtents)) {
+                if (hazard) {
+                    console.log(`${hazard.scenario.id} does not fit on the detected ${surfaceType} (${surfaceExtents.width.toFixed(2)}m x ${surfaceExtents.depth.toFixed(2)}m)`);
+                    if (window.Toast) {
+                        window.Toast.warning(`This ${surfaceType} is too small for ${hazard.scenario.name || hazard.scenario.id}. Scan more of it or choose a larger surface.`, 'Surface Too Small', 4000, true);
+                    }
+                    returnUnshownScenario(hazard);
+                    removeHazard(hazard);
+                }
+                if (anchorRequest) {
+                    anchorRequest.then(deleteAnchor, () => {});
+                }
+                return;
+            }
             
-            contentGroup.matrixAutoUpdate = true;
-            contentGroup.visible = true;
-            isAnchored = true;
-            // Clear smoothing buffer after placement
-            recentHitTestPoses = [];
-            console.log(`Content placed at detected surface (${currentSurfaceType})`);
+            applySurfacePlacement(hazard.group, surfaceMatrix, surfaceType);
+            placeHazard(hazard);
+            attachHazardAnchor(hazard, anchorRequest);
+            console.log(`Hazard placed at detected surface (${surfaceType})${anchorRequest ? ' - anchored' : ''}`);
             return;
         }
         
         // Fallback: If hit-test didn't detect a surface (e.g., looking at a wall
         // on devices that only support floor detection), place content in front
         // of camera and infer surface type from gaze direction
-        const frame = renderer.xr.getFrame();
+        const frame = event.frame || renderer.xr.getFrame();
         if (frame) {
             const pose = frame.getViewerPose(xrReferenceSpace);
             if (pose && pose.views && pose.views.length > 0) {
@@ -1306,153 +2095,856 @@ function setupTapToPlace() {
                 console.log(`No hit-test result - inferring surface type from gaze: ${inferredSurfaceType}`);
                 console.log(`Camera direction: (${direction.x.toFixed(2)}, ${direction.y.toFixed(2)}, ${direction.z.toFixed(2)})`);
                 
-                // Create content for inferred surface type
-                await createContentForSurface(inferredSurfaceType);
-                
-                // Place at distance in front of camera
-                const placementDistance = 1.0; // 1 meter
-                const targetPosition = new THREE.Vector3();
-                targetPosition.copy(position);
-                targetPosition.addScaledVector(direction, placementDistance);
-                
-                // Adjust vertical position based on surface type
-                if (inferredSurfaceType === 'floor') {
-                    // Lower content to approximate floor level
-                    targetPosition.y = position.y - 1.0; // Assume ~1m below camera is floor
+                // Create a hazard for the inferred surface type
+                const hazard = await createHazardForSurface(inferredSurfaceType);
+                if (!hazard) {
+                    return;
                 }
-                // For walls, keep at the aimed position
                 
-                // Set position and make model face camera direction
-                contentGroup.position.copy(targetPosition);
-                contentGroup.lookAt(position); // Face towards camera
-                
-                // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
-                contentGroup.updateMatrix();
-                
-                contentGroup.matrixAutoUpdate = true;
-                contentGroup.visible = true;
-                isAnchored = true;
-                console.log(`Content placed in front of camera as ${inferredSurfaceType}`);
+                applyGazePlacement(hazard.group, position, direction, inferredSurfaceType);
+                placeHazard(hazard);
+                console.log(`Hazard placed in front of camera as ${inferredSurfaceType}`);
             }
         }
-    });
+    });
+}
+
+// ============================================================================
+// SURFACE TYPE DETECTION
+// ============================================================================
+
+/**
+ * Returns the best current estimate of the floor height in reference space
+ * @param {number} viewerY - Current viewer (camera) height in reference space
+ * @returns {number} Estimated floor Y
+ */
+function getFloorHeightEstimate(viewerY) {
+    // local-floor puts the floor at Y=0
+    if (xrReferenceSpaceType === 'local-floor') {
+        return 0;
+    }
+    if (observedFloorY !== null) {
+        return observedFloorY;
+    }
+    // Nothing seen yet - assume the phone is held at a typical height
+    return viewerY - DEFAULT_VIEWER_HEIGHT;
+}
+
+/**
+ * Detects the surface type based on the hit-test pose
+ * - Vertical surfaces are walls
+ * - Horizontal surfaces facing down are ceilings
+ * - Horizontal surfaces facing up are floors, or elevated surfaces (desks/benches)
+ *   when they sit well above the estimated floor height
+ * When the hit lies on a detected plane, the plane's orientation is used instead of
+ * the pose heuristics below, which can misclassify tilted poses.
+ * @param {XRPose} hitPose - The pose from hit-test result
+ * @param {number} [viewerY] - Current viewer height, used to estimate the floor
+ * @param {Object} [planeHit] - Detected plane the hit lies on (from findHitPlane)
+ * @returns {string} 'wall', 'floor', 'ceiling' or 'elevated'
+ */
+function detectSurfaceType(hitPose, viewerY, planeHit) {
+    if (!hitPose || !hitPose.transform) {
+        return 'floor'; // Default to floor
+    }
+    
+    const hitY = hitPose.transform.position.y;
+    if (planeHit && planeHit.orientation === 'vertical') {
+        return 'wall';
+    }
+    if (planeHit && planeHit.orientation === 'horizontal') {
+        return planeHit.normal.y < 0 ? 'ceiling' : classifyHorizontalSurface(hitY, viewerY);
+    }
+    
+    // Extract transform matrix
+    const matrix = new THREE.Matrix4().fromArray(hitPose.transform.matrix);
+    
+    // Extract the Y-axis (up vector) from the transform matrix
+    // The Y-axis of the transform tells us the orientation of the surface
+    // For a floor (horizontal), Y-axis points up (close to world Y: 0, 1, 0)
+    // For a ceiling (horizontal, facing down), Y-axis points down (close to 0, -1, 0)
+    // For a wall (vertical), Y-axis points horizontally (Y component close to 0)
+    const upVector = new THREE.Vector3();
+    upVector.setFromMatrixColumn(matrix, 1);
+    upVector.normalize();
+    
+    // World up vector
+    const worldUp = new THREE.Vector3(0, 1, 0);
+    
+    // Calculate dot product to determine how vertical the surface is
+    // If Y-axis is pointing up (floor), dot product is close to 1
+    // If Y-axis is horizontal (wall), dot product is close to 0
+    const dotProduct = Math.abs(upVector.dot(worldUp));
+    
+    // Also check the Y component directly as an alternative method
+    const yComponent = Math.abs(upVector.y);
+    
+    // Debug logging (only in debug mode to reduce overhead)
+    if (debugMode && frameCount % 60 === 0) {
+        debugLog('Surface detection - Y-axis:', 
+            `(${upVector.x.toFixed(2)}, ${upVector.y.toFixed(2)}, ${upVector.z.toFixed(2)})`, 
+            'dot product:', dotProduct.toFixed(2), 
+            'Y component:', yComponent.toFixed(2));
+    }
+    
+    // Threshold: if Y component < 0.7, it's a wall (Y-axis is mostly horizontal)
+    // Otherwise, it's horizontal (Y-axis is mostly vertical)
+    // Using Y component directly as it's more reliable
+    // Lower threshold (0.5) to be more sensitive to walls
+    let isWall = yComponent < 0.5;
+    
+    // Additional check: if the surface normal (Z-axis) is pointing horizontally
+    // This is a secondary check for wall detection
+    const zAxis = new THREE.Vector3();
+    zAxis.setFromMatrixColumn(matrix, 2);
+    zAxis.normalize();
+    const zVertical = Math.abs(zAxis.dot(worldUp));
+    
+    // If Z-axis is also horizontal (not pointing up/down), it's more likely a wall
+    if (yComponent < 0.7 && zVertical < 0.7) {
+        isWall = true;
+    }
+    
+    if (isWall) {
+        return 'wall';
+    }
+    
+    // Horizontal surface with its normal pointing down - underside of a ceiling
+    if (upVector.y < 0) {
+        return 'ceiling';
+    }
+    
+    // Horizontal surface facing up - floor or elevated (desk/bench)
+    return classifyHorizontalSurface(hitY, viewerY);
+}
+
+/**
+ * Tells a floor from an elevated surface (desk/bench) by its height above the estimated floor
+ * @param {number} hitY - Hit height in reference space
+ * @param {number} [viewerY] - Current viewer height, used to estimate the floor
+ * @returns {string} 'floor' or 'elevated'
+ */
+function classifyHorizontalSurface(hitY, viewerY) {
+    if (typeof viewerY !== 'number') {
+        return 'floor';
+    }
+    
+    const floorY = getFloorHeightEstimate(viewerY);
+    if (hitY - floorY > ELEVATED_SURFACE_MIN_HEIGHT) {
+        return 'elevated';
+    }
+    
+    // Refine the floor estimate from hits well below the viewer (desks never get this low)
+    if (xrReferenceSpaceType !== 'local-floor' && viewerY - hitY > FLOOR_CANDIDATE_MIN_DROP) {
+        observedFloorY = observedFloorY === null ? hitY : Math.min(observedFloorY, hitY);
+    }
+    
+    return 'floor';
+}
+
+/**
+ * Finds the detected plane (if any) that a hit-test result lies on
+ * @param {XRFrame} frame - Current XR frame
+ * @param {XRPose} hitPose - The pose from hit-test result
+ * @returns {Object|null} { plane, orientation, normal, extents } or null when no plane matches
+ */
+function findHitPlane(frame, hitPose) {
+    if (!planeDetectionSupported || !frame.detectedPlanes || frame.detectedPlanes.size === 0) {
+        return null;
+    }
+    
+    const position = hitPose.transform.position;
+    let bestMatch = null;
+    let bestDistance = PLANE_HIT_TOLERANCE;
+    
+    frame.detectedPlanes.forEach((plane) => {
+        const planePose = frame.getPose(plane.planeSpace, xrReferenceSpace);
+        if (!planePose) {
+            return;
+        }
+        
+        // Hit position in the plane's space, where the plane is the XZ plane and +Y its normal
+        _planeMatrix.fromArray(planePose.transform.matrix);
+        _planeInverse.copy(_planeMatrix).invert();
+        _planePoint.set(position.x, position.y, position.z).applyMatrix4(_planeInverse);
+        
+        const distance = Math.abs(_planePoint.y);
+        if (distance > bestDistance || !isPointInPolygon(_planePoint.x, _planePoint.z, plane.polygon)) {
+            return;
+        }
+        
+        bestDistance = distance;
+        bestMatch = {
+            plane: plane,
+            orientation: plane.orientation, // 'horizontal' or 'vertical'
+            normal: new THREE.Vector3().setFromMatrixColumn(_planeMatrix, 1).normalize(),
+            extents: getPlaneExtents(plane)
+        };
+    });
+    
+    return bestMatch;
+}
+
+/**
+ * Checks whether a point lies inside a plane's polygon (both in plane space, X/Z)
+ * @param {number} x - Point X
+ * @param {number} z - Point Z
+ * @param {DOMPointReadOnly[]} polygon - Plane polygon vertices
+ * @returns {boolean}
+ */
+function isPointInPolygon(x, z, polygon) {
+    if (!polygon || polygon.length < 3) {
+        return false;
+    }
+    
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Returns the size of a plane's bounding rectangle in its own space (cached until the plane changes)
+ * @param {XRPlane} plane - Detected plane
+ * @returns {{width: number, depth: number}} Extents in meters
+ */
+function getPlaneExtents(plane) {
+    const cached = planeExtentsCache.get(plane);
+    if (cached && cached.time === plane.lastChangedTime) {
+        return cached.extents;
+    }
+    
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    (plane.polygon || []).forEach((point) => {
+        minX = Math.min(minX, point.x);
+        maxX = Math.max(maxX, point.x);
+        minZ = Math.min(minZ, point.z);
+        maxZ = Math.max(maxZ, point.z);
+    });
+    
+    const extents = {
+        width: maxX > minX ? maxX - minX : 0,
+        depth: maxZ > minZ ? maxZ - minZ : 0
+    };
+    planeExtentsCache.set(plane, { time: plane.lastChangedTime, extents: extents });
+    return extents;
+}
+
+/**
+ * Checks whether a hazard fits on the detected plane it is being placed on.
+ * Wall hazards cover the group's XY plane, everything else its XZ plane.
+ * @param {Object} hazard - Hazard from createHazard()
+ * @param {{width: number, depth: number}|null} extents - Plane extents captured with the placement
+ * @returns {boolean} True if it fits, or if there is no plane to check against
+ */
+function hazardFitsSurface(hazard, extents) {
+    if (!extents || !hazard.size) {
+        return true;
+    }
+    
+    const footprint = hazard.surfaceType === 'wall'
+        ? [hazard.size.x, hazard.size.y]
+        : [hazard.size.x, hazard.size.z];
+    const available = [extents.width, extents.depth];
+    
+    // Compare shortest with shortest and longest with longest - the model can be turned to fit
+    footprint.sort((a, b) => a - b);
+    available.sort((a, b) => a - b);
+    return footprint[0] <= available[0] + PLANE_FIT_TOLERANCE &&
+        footprint[1] <= available[1] + PLANE_FIT_TOLERANCE;
+}
+
+/**
+ * Checks if the reticle is pointing at/near any placed hazard
+ * @returns {boolean} True if reticle is close to a hazard's position
+ */
+function isReticlePointingAtModel() {
+    if (!isAnchored || placedHazards.length === 0 || !reticle) {
+        return false;
+    }
+    
+    // Get reticle position
+    const reticlePos = _tempVector;
+    reticlePos.setFromMatrixPosition(reticle.matrix);
+    
+    // Threshold: if reticle is within 0.3 meters of a hazard, consider it "pointing at" the hazard
+    const OCCLUSION_THRESHOLD = 0.3;
+    return placedHazards.some(hazard => {
+        return reticlePos.distanceTo(hazard.group.position) < OCCLUSION_THRESHOLD;
+    });
+}
+
+/**
+ * Updates reticle appearance based on surface type
+ * @param {string} surfaceType - 'wall', 'floor', 'ceiling' or 'elevated'
+ */
+function updateReticleAppearance(surfaceType) {
+    if (currentSurfaceType === surfaceType) {
+        return; // No change needed
+    }
+    
+    currentSurfaceType = surfaceType;
+    
+    // Update geometry
+    const oldGeometry = reticle.geometry;
+    if (surfaceType === 'wall') {
+        reticle.geometry = reticleWallGeometry;
+        reticleMaterial.color.setHex(0xff6b35); // Orange/red for wall
+    } else if (surfaceType === 'ceiling') {
+        reticle.geometry = reticleCeilingGeometry;
+        reticleMaterial.color.setHex(0xb388ff); // Purple for ceiling
+    } else if (surfaceType === 'elevated') {
+        reticle.geometry = reticleElevatedGeometry;
+        reticleMaterial.color.setHex(0xffd600); // Yellow for desks/benches
+    } else {
+        reticle.geometry = reticleFloorGeometry;
+        reticleMaterial.color.setHex(0x00ffff); // Cyan/blue for floor
+    }
+    
+    // Dispose old geometry if it's not one of our shared geometries
+    if (oldGeometry !== reticleFloorGeometry && oldGeometry !== reticleWallGeometry &&
+        oldGeometry !== reticleCeilingGeometry && oldGeometry !== reticleElevatedGeometry) {
+        oldGeometry.dispose();
+    }
+}
+
+// ============================================================================
+// IMAGE TRACKING
+// ============================================================================
+// With ?mode=image, the images listed under `imageTargets` in scenarios.json are
+// requested as WebXR tracked images. Each printed poster spawns its designated
+// scenario at a fixed offset from the poster and the hazard follows the poster
+// while it is tracked, so trainers can set a site up by putting posters up.
+// Auto-spawn is off in this mode; tapping a surface still adds a hazard.
+
+/**
+ * Returns the session's trackedImages option from the posters decoded during the
+ * tutorial (ScenarioManager.loadImageTargetBitmaps). Nothing is downloaded here: the
+ * session must be requested close to the tap that started AR.
+ * @returns {Array<Object>} trackedImages entries ({ image, widthInMeters }), in imageTargets order
+ */
+function getTrackedImages() {
+    imageTargets = [];
+    const loaded = window.ScenarioManager ? window.ScenarioManager.getImageTargetBitmaps() : null;
+    if (!loaded) {
+        console.warn('Image targets are still loading - this session uses surface placement');
+        return [];
+    }
+    
+    loaded.forEach(({ target }) => imageTargets.push(target));
+    debugLog(`Tracking ${loaded.length} image target(s)`);
+    return loaded.map(({ target, bitmap }) => ({ image: bitmap, widthInMeters: target.widthInMeters }));
+}
+
+/**
+ * Turns image tracking on if the session can track at least one image target,
+ * otherwise falls back to surface placement
+ */
+async function setupImageTracking() {
+    if (!imageModeRequested) {
+        return;
+    }
+    
+    const supported = imageTargets.length > 0 && window.PlatformDetector &&
+        await window.PlatformDetector.checkImageTrackingSupport(xrSession);
+    
+    imageTrackingActive = !!supported;
+    if (imageTrackingActive) {
+        console.log(`Image tracking active (${imageTargets.length} target(s))`);
+        if (window.Toast) {
+            window.Toast.info('Point the camera at a hazard poster to reveal its scenario.', 'Image Tracking', 4000, true);
+        }
+    } else if (imageTargets.length === 0) {
+        console.warn('No image targets for this session - using surface placement');
+        if (window.Toast) {
+            window.Toast.warning('The poster images were not loaded when AR started. Tap surfaces to place hazards instead.', 'Image Tracking', 5000, true);
+        }
+    } else {
+        console.warn('Image tracking not available - using surface placement');
+        if (window.Toast) {
+            window.Toast.warning('Poster tracking is not supported on this device. Tap surfaces to place hazards instead.', 'Image Tracking', 5000, true);
+        }
+    }
+}
+
+/**
+ * Spawns or moves the hazard of every poster tracked in this frame
+ * @param {XRFrame} frame - Current XR frame
+ */
+function updateImageTracking(frame) {
+    if (!imageTrackingActive || typeof frame.getImageTrackingResults !== 'function') {
+        return;
+    }
+    
+    const results = frame.getImageTrackingResults();
+    for (const result of results) {
+        const target = imageTargets[result.index];
+        // 'emulated' means the poster is out of view - its hazard stays where it was last seen
+        if (!target || result.trackingState !== 'tracked') {
+            continue;
+        }
+        
+        const pose = frame.getPose(result.imageSpace, xrReferenceSpace);
+        if (!pose) {
+            continue;
+        }
+        
+        const placementMatrix = getImageTargetMatrix(target, pose);
+        const hazard = imageTargetHazards.get(target.id);
+        if (hazard === undefined || (hazard && hazard.removed)) {
+            spawnImageTargetHazard(target, placementMatrix);
+        } else if (hazard) {
+            applySurfacePlacement(hazard.group, placementMatrix, hazard.surfaceType);
+        }
+    }
+}
+
+/**
+ * Returns the placement matrix for a poster's hazard: the poster's pose moved by the target's offset.
+ * The offset is in the poster's space (x to the right, y out of the poster, z towards its bottom edge).
+ * @param {Object} target - Image target from scenarios.json
+ * @param {XRPose} pose - Poster pose in the reference space
+ * @returns {THREE.Matrix4}
+ */
+function getImageTargetMatrix(target, pose) {
+    const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+    const offset = Array.isArray(target.offset) ? target.offset : [0, 0, 0];
+    return matrix.multiply(_tempMatrix.makeTranslation(offset[0] || 0, offset[1] || 0, offset[2] || 0));
+}
+
+/**
+ * Loads and places the designated scenario of a poster
+ * @param {Object} target - Image target from scenarios.json
+ * @param {THREE.Matrix4} placementMatrix - Where the hazard goes (from getImageTargetMatrix)
+ */
+async function spawnImageTargetHazard(target, placementMatrix) {
+    // null marks the target as loading so it is not spawned again in the next frames
+    imageTargetHazards.set(target.id, null);
+    
+    const scenario = window.ScenarioManager.getScenario(target.scenarioId);
+    const surfaceType = target.surfaceType || (scenario && scenario.surfaces && scenario.surfaces[0]) || 'wall';
+    
+    try {
+        const hazard = await createHazard(scenario, surfaceType);
+        if (!imageTrackingActive) {
+            // Session ended while the model loaded
+            removeHazard(hazard);
+            return;
+        }
+        
+        hazard.imageTargetId = target.id;
+        applySurfacePlacement(hazard.group, placementMatrix, surfaceType);
+        placeHazard(hazard);
+        imageTargetHazards.set(target.id, hazard);
+        console.log(`Poster ${target.id} revealed ${scenario.id}`);
+    } catch (error) {
+        console.error(`Failed to spawn hazard for poster ${target.id}:`, error);
+    }
+}
+
+/**
+ * Stops image tracking and forgets this session's targets and their hazards
+ */
+function stopImageTracking() {
+    imageTrackingActive = false;
+    imageTargetHazards.clear();
+    imageTargets = [];
 }
 
 // ============================================================================
-// SURFACE TYPE DETECTION
+// LIGHT ESTIMATION
 // ============================================================================
+// When the session grants 'light-estimation', the hand-tuned lights above are
+// replaced by the real room's lighting: the directional light follows the
+// estimated primary light, a LightProbe carries the ambient spherical harmonics,
+// and (where XRWebGLBinding is available) the estimated reflection cube map
+// becomes the scene environment for PBR materials.
 
 /**
- * Detects if a surface is a wall or floor based on the hit-test pose
- * @param {XRPose} hitPose - The pose from hit-test result
- * @returns {string} 'wall' or 'floor'
+ * Starts light estimation if the session supports it (keeps the default lights otherwise)
  */
-function detectSurfaceType(hitPose) {
-    if (!hitPose || !hitPose.transform) {
-        return 'floor'; // Default to floor
+async function setupLightEstimation() {
+    const granted = xrSession.enabledFeatures && xrSession.enabledFeatures.includes('light-estimation');
+    if (!granted || typeof xrSession.requestLightProbe !== 'function') {
+        debugLog('Light estimation not available - using default lights');
+        return;
     }
     
-    // Extract transform matrix
-    const matrix = new THREE.Matrix4().fromArray(hitPose.transform.matrix);
-    
-    // Extract the Y-axis (up vector) from the transform matrix
-    // The Y-axis of the transform tells us the orientation of the surface
-    // For a floor (horizontal), Y-axis points up (close to world Y: 0, 1, 0)
-    // For a wall (vertical), Y-axis points horizontally (Y component close to 0)
-    const upVector = new THREE.Vector3();
-    upVector.setFromMatrixColumn(matrix, 1);
-    upVector.normalize();
+    const session = xrSession;
+    let probe;
+    try {
+        probe = await session.requestLightProbe({
+            reflectionFormat: session.preferredReflectionFormat || 'srgba8'
+        });
+    } catch (error) {
+        console.warn('Light probe request failed - using default lights:', error);
+        return;
+    }
     
-    // World up vector
-    const worldUp = new THREE.Vector3(0, 1, 0);
+    // The session may have ended while the probe was being created
+    if (session !== xrSession) {
+        return;
+    }
     
-    // Calculate dot product to determine how vertical the surface is
-    // If Y-axis is pointing up (floor), dot product is close to 1
-    // If Y-axis is horizontal (wall), dot product is close to 0
-    const dotProduct = Math.abs(upVector.dot(worldUp));
+    xrLightProbe = probe;
     
-    // Also check the Y component directly as an alternative method
-    const yComponent = Math.abs(upVector.y);
+    lightProbe = new THREE.LightProbe();
+    lightProbe.intensity = 0; // Raised once the first estimate arrives
+    scene.add(lightProbe);
     
-    // Debug logging (only in debug mode to reduce overhead)
-    if (debugMode && frameCount % 60 === 0) {
-        debugLog('Surface detection - Y-axis:', 
-            `(${upVector.x.toFixed(2)}, ${upVector.y.toFixed(2)}, ${upVector.z.toFixed(2)})`, 
-            'dot product:', dotProduct.toFixed(2), 
-            'Y component:', yComponent.toFixed(2));
+    // Reflection cube map for PBR materials
+    if (typeof XRWebGLBinding !== 'undefined') {
+        try {
+            const gl = renderer.getContext();
+            
+            // Make sure the extension for the preferred cube map format is enabled
+            if (session.preferredReflectionFormat === 'srgba8') {
+                gl.getExtension('EXT_sRGB');
+            } else if (session.preferredReflectionFormat === 'rgba16f') {
+                gl.getExtension('OES_texture_half_float');
+            }
+            
+            xrGLBinding = new XRWebGLBinding(session, gl);
+            
+            // A cube render target gives Three.js a cube texture whose GL texture we can swap
+            reflectionRenderTarget = new THREE.WebGLCubeRenderTarget(16);
+            xrLightProbe.addEventListener('reflectionchange', updateReflectionCubeMap);
+        } catch (error) {
+            console.warn('Reflection cube map not available:', error);
+            xrGLBinding = null;
+            reflectionRenderTarget = null;
+        }
     }
     
-    // Threshold: if Y component < 0.7, it's a wall (Y-axis is mostly horizontal)
-    // Otherwise, it's a floor (Y-axis is mostly vertical/up)
-    // Using Y component directly as it's more reliable
-    // Lower threshold (0.5) to be more sensitive to walls
-    const surfaceType = yComponent < 0.5 ? 'wall' : 'floor';
+    lightEstimationActive = true;
+    console.log('Light estimation active');
+}
+
+/**
+ * Points the scene environment at the session's latest reflection cube map
+ */
+function updateReflectionCubeMap() {
+    if (!xrGLBinding || !xrLightProbe || !reflectionRenderTarget || !scene) {
+        return;
+    }
     
-    // Additional check: if the surface normal (Z-axis) is pointing horizontally
-    // This is a secondary check for wall detection
-    const zAxis = new THREE.Vector3();
-    zAxis.setFromMatrixColumn(matrix, 2);
-    zAxis.normalize();
-    const zVertical = Math.abs(zAxis.dot(worldUp));
+    try {
+        const cubeMap = xrGLBinding.getReflectionCubeMap(xrLightProbe);
+        if (!cubeMap) {
+            return;
+        }
+        
+        const texture = reflectionRenderTarget.texture;
+        renderer.properties.get(texture).__webglTexture = cubeMap;
+        texture.needsPMREMUpdate = true;
+        scene.environment = texture;
+        debugLog('Reflection cube map updated');
+    } catch (error) {
+        console.warn('Could not update reflection cube map:', error);
+    }
+}
+
+/**
+ * Applies the frame's light estimate to the directional light and light probe
+ * @param {XRFrame} frame - Current XR frame
+ */
+function updateLightEstimation(frame) {
+    if (!lightEstimationActive || !xrLightProbe || typeof frame.getLightEstimate !== 'function') {
+        return;
+    }
     
-    // If Z-axis is also horizontal (not pointing up/down), it's more likely a wall
-    if (yComponent < 0.7 && zVertical < 0.7) {
-        return 'wall';
+    const estimate = frame.getLightEstimate(xrLightProbe);
+    if (!estimate) {
+        return;
     }
     
-    return surfaceType;
+    // Ambient light from the spherical harmonics (replaces the fixed ambient/fill lights)
+    lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+    lightProbe.intensity = 1.0;
+    ambientLight.intensity = 0;
+    fillLight.intensity = 0;
+    
+    // WebXR can report colour values above 1.0 - normalize the colour and use the scale as intensity
+    const intensity = estimate.primaryLightIntensity;
+    const intensityScalar = Math.max(1.0, intensity.x, intensity.y, intensity.z);
+    directionalLight.color.setRGB(
+        intensity.x / intensityScalar,
+        intensity.y / intensityScalar,
+        intensity.z / intensityScalar
+    );
+    directionalLight.intensity = intensityScalar;
+    
+    // The light shines from the estimated direction (positioned by updateShadowFrustum)
+    const direction = estimate.primaryLightDirection;
+    primaryLightDirection.set(direction.x, direction.y, direction.z).normalize();
 }
 
 /**
- * Checks if the reticle is pointing at/near the spawned model
- * @returns {boolean} True if reticle is close to the model position
+ * Stops light estimation and puts the default lights back
  */
-function isReticlePointingAtModel() {
-    if (!isAnchored || !contentGroup || !reticle) {
-        return false;
+function stopLightEstimation() {
+    if (xrLightProbe) {
+        xrLightProbe.removeEventListener('reflectionchange', updateReflectionCubeMap);
     }
     
-    // Get reticle position
-    const reticlePos = _tempVector;
-    reticlePos.setFromMatrixPosition(reticle.matrix);
+    if (scene && reflectionRenderTarget && scene.environment === reflectionRenderTarget.texture) {
+        scene.environment = null;
+    }
+    if (lightProbe && lightProbe.parent) {
+        lightProbe.parent.remove(lightProbe);
+    }
     
-    // Get model position
-    const modelPos = _tempVector2;
-    modelPos.setFromMatrixPosition(contentGroup.matrix);
+    // The reflection texture belongs to the XR session, so the render target is dropped, not disposed
+    reflectionRenderTarget = null;
+    xrGLBinding = null;
+    xrLightProbe = null;
+    lightProbe = null;
+    lightEstimationActive = false;
     
-    // Calculate distance between reticle and model
-    const distance = reticlePos.distanceTo(modelPos);
+    applyDefaultLighting();
+}
+
+/**
+ * Restores the hand-tuned light colours and intensities
+ */
+function applyDefaultLighting() {
+    if (ambientLight) {
+        ambientLight.color.setHex(0xffffff);
+        ambientLight.intensity = DEFAULT_AMBIENT_INTENSITY;
+    }
+    if (directionalLight) {
+        directionalLight.color.setHex(0xffffff);
+        directionalLight.intensity = DEFAULT_DIRECTIONAL_INTENSITY;
+        primaryLightDirection.set(5, 10, 5).normalize();
+    }
+    if (fillLight) {
+        fillLight.intensity = DEFAULT_FILL_INTENSITY;
+    }
+}
+
+// ============================================================================
+// DEPTH OCCLUSION
+// ============================================================================
+// When the session grants 'depth-sensing' (CPU-optimized), each frame's depth
+// buffer is uploaded to a texture and hazard materials discard fragments that
+// are further away than the real surface at that pixel, so a chair in front of
+// a puddle hides it. The overlay toggle switches this on and off.
+
+/**
+ * Session options requesting CPU depth data (the format the occlusion shader reads)
+ * @returns {Object} depthSensing session option
+ */
+function getDepthSensingOptions() {
+    return {
+        usagePreference: ['cpu-optimized'],
+        dataFormatPreference: ['luminance-alpha', 'float32']
+    };
+}
+
+/**
+ * Enables occlusion if the session granted usable depth sensing (disabled otherwise)
+ */
+function setupDepthOcclusion() {
+    const granted = xrSession.enabledFeatures && xrSession.enabledFeatures.includes('depth-sensing');
+    depthSensingActive = false;
     
-    // Threshold: if reticle is within 0.3 meters of model, consider it "pointing at" the model
-    const OCCLUSION_THRESHOLD = 0.3;
-    return distance < OCCLUSION_THRESHOLD;
+    if (!granted) {
+        debugLog('Depth sensing not available - occlusion disabled');
+    } else if (xrSession.depthUsage && xrSession.depthUsage !== 'cpu-optimized') {
+        console.warn(`Depth sensing usage "${xrSession.depthUsage}" is not supported - occlusion disabled`);
+    } else {
+        depthDataFormat = xrSession.depthDataFormat || 'luminance-alpha';
+        depthSensingActive = true;
+        console.log(`Depth occlusion available (${depthDataFormat})`);
+    }
+    
+    occlusionUniforms.uOcclusionEnabled.value = 0;
+    updateOcclusionToggle();
 }
 
 /**
- * Updates reticle appearance based on surface type
- * @param {string} surfaceType - 'wall' or 'floor'
+ * Patches a hazard's materials so they discard fragments hidden by real geometry.
+ * All patched materials share occlusionUniforms, so toggling needs no recompile.
+ * @param {THREE.Object3D} object - Hazard group
  */
-function updateReticleAppearance(surfaceType) {
-    if (currentSurfaceType === surfaceType) {
-        return; // No change needed
+function applyDepthOcclusion(object) {
+    object.traverse((obj) => {
+        if (!obj.isMesh || !obj.material) {
+            return;
+        }
+        const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+        materials.forEach(patchOcclusionMaterial);
+    });
+}
+
+/**
+ * Adds the depth test to a material's shaders
+ * @param {THREE.Material} material - Per-instance material
+ */
+function patchOcclusionMaterial(material) {
+    if (!material || material.userData.depthOcclusion) {
+        return;
     }
+    material.userData.depthOcclusion = true;
     
-    currentSurfaceType = surfaceType;
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, occlusionUniforms);
+        
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying float vOcclusionViewZ;')
+            .replace('#include <project_vertex>', '#include <project_vertex>\nvOcclusionViewZ = -mvPosition.z;');
+        
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying float vOcclusionViewZ;
+uniform sampler2D uDepthTexture;
+uniform mat4 uDepthUvTransform;
+uniform float uRawValueToMeters;
+uniform vec4 uDepthViewport;
+uniform int uDepthFormat;
+uniform int uOcclusionEnabled;`)
+            .replace('void main() {', `void main() {
+    if (uOcclusionEnabled == 1) {
+        // Normalized view coordinates have their origin at the top-left
+        vec2 normView = (gl_FragCoord.xy - uDepthViewport.xy) / uDepthViewport.zw;
+        normView.y = 1.0 - normView.y;
+        vec2 depthUv = (uDepthUvTransform * vec4(normView, 0.0, 1.0)).xy;
+        vec4 packedDepth = texture2D(uDepthTexture, depthUv);
+        // luminance-alpha packs a 16-bit value into the luminance and alpha channels
+        float rawDepth = uDepthFormat == 0 ? dot(packedDepth.ra, vec2(255.0, 256.0 * 255.0)) : packedDepth.r;
+        float realDepth = rawDepth * uRawValueToMeters;
+        if (realDepth > 0.0 && vOcclusionViewZ > realDepth + 0.02) {
+            discard;
+        }
+    }`);
+    };
+    material.customProgramCacheKey = () => 'depth-occlusion';
+    material.needsUpdate = true;
+}
+
+/**
+ * Uploads this frame's depth buffer and updates the occlusion uniforms
+ * @param {XRFrame} frame - Current XR frame
+ */
+function updateDepthOcclusion(frame) {
+    const uniforms = occlusionUniforms;
+    if (!depthSensingActive || !occlusionEnabled || typeof frame.getDepthInformation !== 'function') {
+        uniforms.uOcclusionEnabled.value = 0;
+        return;
+    }
     
-    // Update geometry
-    const oldGeometry = reticle.geometry;
-    if (surfaceType === 'wall') {
-        reticle.geometry = reticleWallGeometry;
-        reticleMaterial.color.setHex(0xff6b35); // Orange/red for wall
-    } else {
-        reticle.geometry = reticleFloorGeometry;
-        reticleMaterial.color.setHex(0x00ffff); // Cyan/blue for floor
+    try {
+        const pose = frame.getViewerPose(xrReferenceSpace);
+        const baseLayer = xrSession.renderState.baseLayer;
+        if (!pose || !pose.views || pose.views.length === 0 || !baseLayer) {
+            uniforms.uOcclusionEnabled.value = 0;
+            return;
+        }
+        
+        // Phone AR renders a single view
+        const view = pose.views[0];
+        const depthInfo = frame.getDepthInformation(view);
+        if (!depthInfo) {
+            uniforms.uOcclusionEnabled.value = 0;
+            return;
+        }
+        
+        updateDepthTexture(depthInfo);
+        
+        const viewport = baseLayer.getViewport(view);
+        uniforms.uDepthViewport.value.set(viewport.x, viewport.y, viewport.width, viewport.height);
+        uniforms.uDepthUvTransform.value.fromArray(depthInfo.normDepthBufferFromNormView.matrix);
+        uniforms.uRawValueToMeters.value = depthInfo.rawValueToMeters;
+        uniforms.uDepthFormat.value = depthDataFormat === 'float32' ? 1 : 0;
+        uniforms.uOcclusionEnabled.value = 1;
+    } catch (error) {
+        // Stop trying after a failure rather than logging every frame
+        console.warn('Depth occlusion failed - disabling:', error);
+        depthSensingActive = false;
+        uniforms.uOcclusionEnabled.value = 0;
+        updateOcclusionToggle();
     }
+}
+
+/**
+ * Copies CPU depth data into the shared depth texture (recreated when the size changes)
+ * @param {XRCPUDepthInformation} depthInfo - Depth information for the view
+ */
+function updateDepthTexture(depthInfo) {
+    const isFloat = depthDataFormat === 'float32';
+    const data = isFloat ? new Float32Array(depthInfo.data) : new Uint8Array(depthInfo.data);
     
-    // Dispose old geometry if it's not one of our shared geometries
-    if (oldGeometry !== reticleFloorGeometry && oldGeometry !== reticleWallGeometry) {
-        oldGeometry.dispose();
+    if (!depthTexture || depthTexture.image.width !== depthInfo.width || depthTexture.image.height !== depthInfo.height) {
+        if (depthTexture) {
+            depthTexture.dispose();
+        }
+        depthTexture = isFloat
+            ? new THREE.DataTexture(data, depthInfo.width, depthInfo.height, THREE.RedFormat, THREE.FloatType)
+            : new THREE.DataTexture(data, depthInfo.width, depthInfo.height, THREE.LuminanceAlphaFormat, THREE.UnsignedByteType);
+        // Packed 16-bit depth can't be interpolated byte by byte, so samples are never filtered
+        depthTexture.magFilter = THREE.NearestFilter;
+        depthTexture.minFilter = THREE.NearestFilter;
+        occlusionUniforms.uDepthTexture.value = depthTexture;
+    } else {
+        depthTexture.image.data = data;
+    }
+    depthTexture.needsUpdate = true;
+}
+
+/**
+ * Reads the saved occlusion toggle (on unless it was switched off)
+ * @returns {boolean}
+ */
+function loadOcclusionPreference() {
+    try {
+        return localStorage.getItem(OCCLUSION_STORAGE_KEY) !== 'false';
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Saves the occlusion toggle for later sessions and page loads
+ */
+function saveOcclusionPreference() {
+    try {
+        localStorage.setItem(OCCLUSION_STORAGE_KEY, String(occlusionEnabled));
+    } catch (e) {
+        console.warn('Could not save occlusion preference:', e);
+    }
+}
+
+/**
+ * Shows the occlusion toggle only while depth occlusion is available, and syncs its state
+ */
+function updateOcclusionToggle() {
+    const toggle = document.getElementById('occlusion-toggle');
+    const checkbox = document.getElementById('occlusion-checkbox');
+    if (toggle) {
+        toggle.classList.toggle('hidden', !depthSensingActive);
+    }
+    if (checkbox) {
+        checkbox.checked = occlusionEnabled;
+    }
+}
+
+/**
+ * Turns depth occlusion off and releases the depth texture
+ */
+function stopDepthOcclusion() {
+    depthSensingActive = false;
+    occlusionUniforms.uOcclusionEnabled.value = 0;
+    occlusionUniforms.uDepthTexture.value = null;
+    if (depthTexture) {
+        depthTexture.dispose();
+        depthTexture = null;
     }
+    updateOcclusionToggle();
 }
 
 // ============================================================================
@@ -1491,20 +2983,32 @@ function onXRFrame(timestamp, frame) {
         return;
     }
 
+    // Capture this frame's viewer pose and hit-test results for ?record=1 traces
+    if (window.XRRecorder && window.XRRecorder.isRecording()) {
+        window.XRRecorder.recordFrame(timestamp, frame, xrReferenceSpace, xrHitTestSource);
+    }
+
     // Update reticle position from hit-test whenever available
     // (even after content has been placed) so the user can tap again
-    // to move/replace content on a new surface.
+    // to add another hazard on a new surface.
+    latestHitTestResult = null;
     if (xrHitTestSource) {
         try {
             const hitTestResults = frame.getHitTestResults(xrHitTestSource);
             
             if (hitTestResults.length > 0) {
                 const hit = hitTestResults[0];
+                latestHitTestResult = hit;
                 const hitPose = hit.getPose(xrReferenceSpace);
                 
                 if (hitPose) {
-                    // Detect surface type
-                    const surfaceType = detectSurfaceType(hitPose);
+                    // Detect surface type (viewer height is used to tell floors from desks)
+                    const viewerPose = frame.getViewerPose(xrReferenceSpace);
+                    const viewerY = viewerPose ? viewerPose.transform.position.y : undefined;
+                    // Detected planes (when available) give the orientation and size of the surface
+                    const planeHit = findHitPlane(frame, hitPose);
+                    currentSurfaceExtents = planeHit ? planeHit.extents : null;
+                    const surfaceType = detectSurfaceType(hitPose, viewerY, planeHit);
                     
                     // Log surface type changes
                     if (surfaceType !== currentSurfaceType) {
@@ -1587,6 +3091,7 @@ function onXRFrame(timestamp, frame) {
             } else {
                 reticle.visible = false;
                 currentSurfaceType = null;
+                currentSurfaceExtents = null;
                 // Reset stability tracking when no surface detected
                 surfaceDetectionTime = 0;
                 lastReticlePosition = null;
@@ -1598,6 +3103,7 @@ function onXRFrame(timestamp, frame) {
             console.warn('Hit-test error:', error);
             reticle.visible = false;
             currentSurfaceType = null;
+            currentSurfaceExtents = null;
         }
     } else if (!isAnchored) {
         // Hit-test available but no surface detected (e.g., looking at wall on device
@@ -1679,7 +3185,8 @@ function onXRFrame(timestamp, frame) {
             // 2. OR user is too far from previous spawn and cooldown has passed AND surface is stable
             // 3. AND not currently spawning (prevent multiple concurrent spawns)
             // 4. AND auto placement is enabled (when disabled, only spawn on touch/manual placement)
-            const shouldSpawn = ((!hasAutoSpawned && elapsedTime >= autoSpawnTime) || canSpawnAgain) && surfaceStable && !isSpawning && autoPlacementEnabled;
+            // 5. AND posters are not driving placement (image tracking mode)
+            const shouldSpawn = ((!hasAutoSpawned && elapsedTime >= autoSpawnTime) || canSpawnAgain) && surfaceStable && !isSpawning && autoPlacementEnabled && !imageTrackingActive;
             
             if (shouldSpawn) {
                 // Set spawning flag immediately to prevent concurrent spawns
@@ -1710,93 +3217,61 @@ function onXRFrame(timestamp, frame) {
                     return; // Exit early - don't spawn
                 }
                 
-                // Create and place content using reticle matrix (like tap-to-place)
+                // Capture the spawn surface and camera now - both keep moving while the model loads
+                const spawnMatrix = useReticle ? reticle.matrix.clone() : null;
+                const spawnSurfaceExtents = currentSurfaceExtents;
+                const spawnCameraPosition = cameraPosition.clone();
+                const spawnCameraDirection = cameraDirection.clone();
+                
+                // Request the anchor in this frame, from this frame's hit-test result
+                const spawnAnchorRequest = spawnMatrix
+                    ? requestPlacementAnchor(frame, spawnMatrix, latestHitTestResult)
+                    : null;
+                
+                // Create and place a hazard using reticle matrix (like tap-to-place)
                 (async () => {
                     try {
-                        await createContentForSurface(spawnSurfaceType);
+                        const hazard = await createHazardForSurface(spawnSurfaceType);
+                        if (!hazard) {
+                            // Don't retry every frame when no scenario matches this surface
+                            hasAutoSpawned = true;
+                            if (spawnAnchorRequest) {
+                                spawnAnchorRequest.then(deleteAnchor, () => {});
+                            }
+                            return;
+                        }
                         
-                        // CRITICAL: Reset all transforms before applying new ones
-                        // This ensures each spawn starts fresh and doesn't retain previous rotation
-                        contentGroup.position.set(0, 0, 0);
-                        contentGroup.rotation.set(0, 0, 0);
-                        contentGroup.scale.set(1, 1, 1);
-                        contentGroup.quaternion.set(0, 0, 0, 1);
-                        contentGroup.matrix.identity();
+                        if (!hazardFitsSurface(hazard, spawnSurfaceExtents)) {
+                            // Wait for the surface to be stable again - its plane may have grown by then
+                            debugLog(`Auto-spawn skipped: ${hazard.scenario.id} does not fit on the detected ${spawnSurfaceType}`);
+                            returnUnshownScenario(hazard);
+                            removeHazard(hazard);
+                            if (spawnAnchorRequest) {
+                                spawnAnchorRequest.then(deleteAnchor, () => {});
+                            }
+                            surfaceDetectionTime = 0;
+                            lastReticlePosition = null;
+                            return;
+                        }
                         
-                        if (useReticle && reticle && reticle.matrix) {
+                        if (spawnMatrix) {
                             // Use reticle matrix directly (same as tap-to-place)
                             // This ensures perfect alignment with the detected surface
-                            contentGroup.matrix.copy(reticle.matrix);
-                            
-                            // Extract position and rotation from the matrix
-                            contentGroup.position.setFromMatrixPosition(reticle.matrix);
-                            
-                            // Extract quaternion from reticle matrix to ensure exact same orientation
-                            const reticleQuaternion = new THREE.Quaternion();
-                            reticleQuaternion.setFromRotationMatrix(reticle.matrix);
-                            contentGroup.quaternion.copy(reticleQuaternion);
-                            
-                            // For wall surfaces, rotate the content 90 degrees upward to face outward from the wall
-                            if (spawnSurfaceType === 'wall') {
-                                const upwardRotation = new THREE.Quaternion().setFromAxisAngle(
-                                    new THREE.Vector3(1, 0, 0),
-                                    -Math.PI / 2
-                                );
-                                // apply AFTER current orientation (local space)
-                                contentGroup.quaternion.multiply(upwardRotation);
-                            }
-                            
-                            // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
-                            contentGroup.updateMatrix();
-                            
-                            // Store spawn position for distance checking
-                            autoSpawnPosition = contentGroup.position.clone();
+                            applySurfacePlacement(hazard.group, spawnMatrix, spawnSurfaceType);
                         } else {
                             // Fallback: place in front of camera (no hit-test available)
-                            const placementDistance = 1.0; // 1 meter
-                            // Reuse temp vector for spawn position calculation
-                            _tempVector.copy(cameraPosition);
-                            _tempVector.addScaledVector(cameraDirection, placementDistance);
-                            
-                            // Adjust vertical position based on surface type
-                            if (spawnSurfaceType === 'floor') {
-                                _tempVector.y = cameraPosition.y - 1.0; // Assume ~1m below camera is floor
-                            }
-                            
-                            // Position content at spawn location
-                            contentGroup.position.copy(_tempVector);
-                            
-                            // For wall surfaces, rotate to face outward
-                            if (spawnSurfaceType === 'wall') {
-                                // Make model face camera direction
-                                contentGroup.lookAt(cameraPosition);
-                                // Rotate 90 degrees upward to face outward from wall
-                                const upwardRotation = new THREE.Quaternion().setFromAxisAngle(
-                                    new THREE.Vector3(1, 0, 0),
-                                    -Math.PI / 2
-                                );
-                                contentGroup.quaternion.multiply(upwardRotation);
-                            } else {
-                                // For floor, just face camera
-                                contentGroup.lookAt(cameraPosition);
-                            }
-                            
-                            // CRITICAL: Update matrix to sync position/quaternion state before enabling auto-update
-                            contentGroup.updateMatrix();
-                            
-                            // Store spawn position for distance checking
-                            autoSpawnPosition = _tempVector.clone();
+                            applyGazePlacement(hazard.group, spawnCameraPosition, spawnCameraDirection, spawnSurfaceType);
                         }
                         
-                        contentGroup.matrixAutoUpdate = true;
-                        contentGroup.visible = true;
-                        isAnchored = true;
+                        // Store spawn position for distance checking
+                        autoSpawnPosition = hazard.group.position.clone();
+                        
+                        placeHazard(hazard);
+                        attachHazardAnchor(hazard, spawnAnchorRequest);
                         hasAutoSpawned = true;
                         lastSpawnAttemptTime = timestamp;
-                        // Clear smoothing buffer after placement
-                        recentHitTestPoses = [];
                         
-                        debugLog(`Auto-spawned ${spawnSurfaceType} model using ${useReticle ? 'reticle' : 'fallback'} placement`);
+                        debugLog(`Auto-spawned ${spawnSurfaceType} hazard using ${useReticle ? 'reticle' : 'fallback'} placement`);
                     } catch (error) {
                         console.error('Error during auto-spawn:', error);
                     } finally {
@@ -1808,9 +3283,22 @@ function onXRFrame(timestamp, frame) {
         }
     }
 
-    // Animate the cube (only if it's a cube, not wire model or puddle model)
+    // Spawn hazards for newly seen posters and keep poster hazards on their posters
+    updateImageTracking(frame);
+
+    // Put hazards kept from a suspended session back around the viewer
+    if (suspendedSession) {
+        restoreSuspendedPlacements(frame);
+    }
+
+    // Keep anchored hazards on their anchors' latest poses
+    if (isAnchored) {
+        updateAnchoredHazards(frame);
+    }
+
+    // Animate placed hazards
     // Use frame-rate independent calculation for consistent animation speed
-    if (cubeMesh && isAnchored) {
+    if (isAnchored && placedHazards.length > 0) {
         // Calculate deltaTime for frame-rate independence
         const deltaTime = lastAnimationTimestamp > 0 ? timestamp - lastAnimationTimestamp : 16.67; // Default to ~60fps
         lastAnimationTimestamp = timestamp;
@@ -1818,24 +3306,76 @@ function onXRFrame(timestamp, frame) {
         // Use deltaTime for smooth rotation (normalize to 60fps)
         // Original code used timestamp * 0.001, so we maintain similar speed
         const rotationSpeed = (deltaTime / 16.67) * 0.001; // Scale to match original speed at 60fps
-        cubeMesh.rotation.y += rotationSpeed;
-        cubeMesh.rotation.x += rotationSpeed * 0.5;
+        
+        placedHazards.forEach(hazard => {
+            // Rotate the placeholder cube (only shown when a scenario's model failed to load)
+            if (hazard.fallbackMesh) {
+                hazard.fallbackMesh.rotation.y += rotationSpeed;
+                hazard.fallbackMesh.rotation.x += rotationSpeed * 0.5;
+            }
+            
+            // Advance the model's embedded GLB animations (mixer works in seconds)
+            if (hazard.mixer) {
+                hazard.mixer.update(deltaTime / 1000);
+            }
+        });
     } else if (!isAnchored) {
         // Reset animation timestamp when not anchored
         lastAnimationTimestamp = 0;
     }
-    
-    // Wire model and puddle model stay static (no rotation)
 
     // Update gaze detection
     if (isAnchored) {
         updateGazeDetection(frame, timestamp);
     }
 
+    // Keep a 3D quiz panel turned towards the viewer
+    if (inSessionQuiz === 'panel' && window.XRQuizPanel) {
+        const viewerPose = frame.getViewerPose(xrReferenceSpace);
+        if (viewerPose) {
+            const position = viewerPose.transform.position;
+            window.XRQuizPanel.update(_tempVector.set(position.x, position.y, position.z));
+        }
+    }
+
+    // Match the real room's lighting
+    updateLightEstimation(frame);
+    
+    if (isAnchored) {
+        // Upload the real-world depth used to hide hazards behind real objects
+        updateDepthOcclusion(frame);
+        
+        // Keep the grounding shadows covering the placed hazards
+        updateShadowFrustum();
+    }
+
     // Render - Three.js WebXRManager handles camera automatically
     renderer.render(scene, camera);
 }
 
+/**
+ * Render loop for ?simulate=1 and ?replay sessions (see xr-simulator.js and xr-recorder.js).
+ * Three.js only drives the camera for real XR sessions, so the simulated viewer pose is
+ * applied here before the frame is handed to onXRFrame unchanged.
+ * @param {number} timestamp - Animation frame timestamp
+ */
+function onSimulatedFrame(timestamp) {
+    if (!xrSession || !xrSession.isSimulated) {
+        return;
+    }
+    
+    const frame = xrSession.beginFrame(timestamp);
+    const pose = frame.getViewerPose(xrReferenceSpace);
+    if (pose) {
+        camera.matrix.fromArray(pose.transform.matrix);
+        camera.matrix.decompose(camera.position, camera.quaternion, camera.scale);
+        camera.updateMatrixWorld(true);
+    }
+    
+    // Replayed frames carry their recorded timestamps, so timers run as they did on the device
+    onXRFrame(frame.predictedDisplayTime !== undefined ? frame.predictedDisplayTime : timestamp, frame);
+}
+
 // ============================================================================
 // WINDOW RESIZE
 // ============================================================================
@@ -1851,26 +3391,26 @@ function onWindowResize() {
 // ============================================================================
 
 /**
- * Checks if the user is looking at the 3D model
- * Uses raycasting from camera center with angle threshold
+ * Finds the placed hazard the user is looking at
+ * Uses raycasting from camera center with angle threshold; the nearest matching hazard wins
  * @param {XRFrame} frame - Current XR frame
- * @returns {boolean} True if user is gazing at the model
+ * @returns {Object|null} The gazed hazard, or null if the user isn't looking at one
  */
-function checkGazeAtModel(frame) {
-    if (!isAnchored || !contentGroup || !contentGroup.visible) {
-        return false;
+function findGazedHazard(frame) {
+    if (!isAnchored || placedHazards.length === 0) {
+        return null;
     }
-
+    
     if (!frame || !xrReferenceSpace) {
-        return false;
+        return null;
     }
-
+    
     try {
         const pose = frame.getViewerPose(xrReferenceSpace);
         if (!pose || !pose.views || pose.views.length === 0) {
-            return false;
+            return null;
         }
-
+        
         const view = pose.views[0];
         _tempMatrix.fromArray(view.transform.matrix);
         
@@ -1883,100 +3423,109 @@ function checkGazeAtModel(frame) {
         // Store references for readability
         const cameraPosition = _tempVector.clone(); // Clone since we'll reuse _tempVector
         const cameraForward = _tempVector2.clone(); // Clone since we'll reuse _tempVector2
-
-        // Get model center position in world space
-        // Only update matrix world when needed (gaze detection requires accurate world position)
-        contentGroup.updateMatrixWorld(true);
-        // Reuse temp vector for model center
-        _tempVector.set(0, 0, 0); // Reset
-        contentGroup.getWorldPosition(_tempVector);
-        const modelCenter = _tempVector;
-
-        // Calculate direction from camera to model (reuse temp vector)
-        _tempVector2.subVectors(modelCenter, cameraPosition);
-        const distance = _tempVector2.length();
-        
-        // Check if model is too far (optional - can adjust threshold)
-        if (distance > 5.0) {
-            return false;
-        }
         
-        _tempVector2.normalize();
-        const toModel = _tempVector2;
-
-        // Calculate angle between camera forward and direction to model
-        const angle = Math.acos(THREE.MathUtils.clamp(cameraForward.dot(toModel), -1, 1));
-
-        // Check if model is within angle threshold
-        if (angle > GAZE_ANGLE_THRESHOLD) {
-            return false;
-        }
-
-        // Check if model is in front of camera (not behind)
-        if (cameraForward.dot(toModel) < 0) {
-            return false;
-        }
-
         // Initialize raycaster if needed
         if (!raycaster && typeof THREE !== 'undefined') {
             raycaster = new THREE.Raycaster();
         }
-
-        if (raycaster) {
-            // Perform raycast to check if model is actually visible (not occluded)
-            raycaster.set(cameraPosition, toModel);
-            const intersects = raycaster.intersectObject(contentGroup, true);
+        
+        let nearestHazard = null;
+        let nearestDistance = Infinity;
+        
+        for (const hazard of placedHazards) {
+            // Restored hazards are hidden until their anchor is tracked
+            if (!hazard.group.visible) {
+                continue;
+            }
+            
+            // Get hazard center position in world space
+            hazard.group.updateMatrixWorld(true);
+            hazard.group.getWorldPosition(_tempVector);
+            
+            // Calculate direction from camera to hazard (reuse temp vector)
+            _tempVector2.subVectors(_tempVector, cameraPosition);
+            const distance = _tempVector2.length();
+            
+            // Skip hazards that are too far, or further than one already found
+            if (distance > 5.0 || distance >= nearestDistance) {
+                continue;
+            }
+            
+            _tempVector2.normalize();
+            const toHazard = _tempVector2;
+            
+            // Check if hazard is in front of camera (not behind)
+            if (cameraForward.dot(toHazard) < 0) {
+                continue;
+            }
             
-            // If raycast hits the model, user is looking at it
-            return intersects.length > 0;
+            // Check if hazard is within angle threshold
+            const angle = Math.acos(THREE.MathUtils.clamp(cameraForward.dot(toHazard), -1, 1));
+            if (angle > GAZE_ANGLE_THRESHOLD) {
+                continue;
+            }
+            
+            // Perform raycast to check if the hazard is actually visible (not occluded)
+            // Fallback: if raycaster not available, just check angle
+            if (raycaster) {
+                raycaster.set(cameraPosition, toHazard);
+                if (raycaster.intersectObject(hazard.group, true).length === 0) {
+                    continue;
+                }
+            }
+            
+            nearestHazard = hazard;
+            nearestDistance = distance;
         }
-
-        // Fallback: if raycaster not available, just check angle
-        return true;
+        
+        return nearestHazard;
     } catch (error) {
         console.warn('Gaze detection error:', error);
-        return false;
+        return null;
     }
 }
 
 /**
- * Updates gaze timer and button visibility
+ * Updates each hazard's gaze timer and the quiz button visibility
  * @param {XRFrame} frame - Current XR frame
  * @param {number} timestamp - Current timestamp
  */
 function updateGazeDetection(frame, timestamp) {
-    if (!isAnchored || !currentModelType) {
-        // Reset gaze if no model is placed
-        gazeTimer = 0;
-        isGazingAtModel = false;
+    if (!isAnchored || placedHazards.length === 0) {
+        // Reset gaze if no hazard is placed
+        gazedHazard = null;
         hideQuizButton();
         return;
     }
-
+    
     const deltaTime = lastGazeCheckTime > 0 ? timestamp - lastGazeCheckTime : 16; // ~60fps default
     lastGazeCheckTime = timestamp;
-
-    const isGazing = checkGazeAtModel(frame);
-
-    if (isGazing) {
-        if (!isGazingAtModel) {
-            // Just started gazing
-            isGazingAtModel = true;
-            gazeTimer = 0;
-        }
-        gazeTimer += deltaTime;
-
-        // Show button after threshold
-        if (gazeTimer >= GAZE_THRESHOLD_MS) {
-            showQuizButton();
+    
+    const target = findGazedHazard(frame);
+    
+    placedHazards.forEach(hazard => {
+        if (hazard === target) {
+            if (!hazard.isGazing) {
+                // Just started gazing
+                hazard.isGazing = true;
+                hazard.gazeTimer = 0;
+                playScenarioAnimation(hazard, 'onGaze');
+            }
+            hazard.gazeTimer += deltaTime;
+        } else if (hazard.isGazing) {
+            // Not gazing - reset timer
+            hazard.isGazing = false;
+            hazard.gazeTimer = 0;
         }
+    });
+    
+    gazedHazard = target;
+    
+    // Show button after threshold, until the hazard's quiz has been completed (not while a quiz is open)
+    if (target && !target.quizCompleted && !inSessionQuiz && target.gazeTimer >= GAZE_THRESHOLD_MS) {
+        showQuizButton();
     } else {
-        // Not gazing - reset timer
-        if (isGazingAtModel) {
-            isGazingAtModel = false;
-            gazeTimer = 0;
-            hideQuizButton();
-        }
+        hideQuizButton();
     }
 }
 
@@ -2010,35 +3559,31 @@ function hideQuizButton() {
  * Exits AR and shows quiz view
  */
 async function exitARToQuiz() {
-    if (!currentModelType) {
-        console.warn('No model type available for quiz');
+    if (!gazedHazard) {
+        console.warn('No hazard available for quiz');
         return;
     }
 
-    // Store model type before ending session (session end event will reset it)
-    const modelTypeForQuiz = currentModelType;
+    // Remember which hazard the quiz is for, so quiz events (wrong answers, completion) reach it
+    quizHazard = gazedHazard;
+    const modelTypeForQuiz = quizHazard.scenario.quizKey;
 
     // Set flag to prevent returnToStartScreen from being called
     isExitingToQuiz = true;
 
     // Hide quiz button
     hideQuizButton();
+    
+    // Silence the hazards while the quiz is open
+    placedHazards.forEach(stopHazardAudio);
 
-    // End XR session
-    if (xrSession) {
-        xrSession.end();
-        xrSession = null;
-    }
-
-    // Stop render loop
-    if (renderer && renderer.setAnimationLoop) {
-        renderer.setAnimationLoop(null);
-    }
+    // End the XR session, keeping the scene and placed hazards for Back to AR
+    suspendSession();
 
     // Show quiz view using the stored model type
     if (window.QuizSystem && window.QuizSystem.showQuiz) {
         try {
-            await window.QuizSystem.showQuiz(modelTypeForQuiz);
+            await window.QuizSystem.showQuiz(modelTypeForQuiz, { scenarioId: quizHazard.scenario.id });
         } catch (error) {
             console.error('Error showing quiz:', error);
             // Reset flag if quiz failed to show
@@ -2051,6 +3596,138 @@ async function exitARToQuiz() {
     }
 }
 
+// ============================================================================
+// IN-AR QUIZ
+// ============================================================================
+// The quiz button opens the gazed hazard's quiz without ending the session: in the DOM
+// overlay as a bottom sheet when dom-overlay is enabled, otherwise (or with ?quiz=panel)
+// on a 3D panel beside the hazard (see xr-quiz-panel.js). The hazard stays visible and
+// reacts to answers; exitARToQuiz() remains for leaving AR for the full-screen quiz.
+
+/**
+ * Opens the gazed hazard's quiz inside the AR session
+ */
+async function openQuizInAR() {
+    if (!gazedHazard || inSessionQuiz || !xrSession) {
+        return;
+    }
+    
+    const domOverlayActive = xrSession.enabledFeatures && xrSession.enabledFeatures.includes('dom-overlay');
+    const usePanel = quizPanelRequested || !domOverlayActive;
+    if (!window.QuizSystem || (usePanel && !window.XRQuizPanel)) {
+        // Nothing to show the quiz with in AR - leave AR for the quiz view instead
+        exitARToQuiz();
+        return;
+    }
+    
+    // Remember which hazard the quiz is for, so quiz events (wrong answers, completion) reach it
+    quizHazard = gazedHazard;
+    const scenario = quizHazard.scenario;
+    const session = xrSession;
+    inSessionQuiz = usePanel ? 'panel' : 'overlay';
+    hideQuizButton();
+    
+    let opened = false;
+    if (usePanel) {
+        quizHazard.group.updateMatrixWorld(true);
+        opened = await window.XRQuizPanel.open({
+            parent: scene,
+            targetPosition: quizHazard.group.getWorldPosition(new THREE.Vector3()),
+            viewerPosition: camera.position.clone(), // Follows the viewer pose in XR and simulated sessions
+            quizKey: scenario.quizKey,
+            scenarioId: scenario.id,
+            onClose: onQuizInARClosed
+        });
+    } else {
+        // Only the overlay root's contents are shown over the camera feed
+        const quizView = document.getElementById('quiz-view');
+        if (quizView && overlayUI && quizView.parentElement !== overlayUI) {
+            overlayUI.appendChild(quizView);
+        }
+        opened = await window.QuizSystem.showQuiz(scenario.quizKey, {
+            scenarioId: scenario.id,
+            inSession: true,
+            closeLabel: 'Back to AR',
+            onClose: onQuizInARClosed
+        });
+    }
+    
+    if (!opened) {
+        onQuizInARClosed();
+    } else if (session !== xrSession) {
+        // The session ended while the quiz loaded (its cleanup found nothing open yet)
+        if (usePanel) {
+            window.XRQuizPanel.close();
+        } else {
+            window.QuizSystem.closeQuiz();
+        }
+        onQuizInARClosed();
+    } else {
+        debugLog(`Quiz for hazard ${quizHazard.id} opened in AR (${inSessionQuiz})`);
+    }
+}
+
+/**
+ * Closes a quiz opened in AR (its close handler restores the AR UI)
+ */
+function closeQuizInAR() {
+    if (inSessionQuiz === 'panel' && window.XRQuizPanel) {
+        window.XRQuizPanel.close();
+    } else if (inSessionQuiz === 'overlay' && window.QuizSystem) {
+        window.QuizSystem.closeQuiz();
+    }
+    onQuizInARClosed();
+}
+
+/**
+ * Restores the AR UI after a quiz opened in AR is closed
+ */
+function onQuizInARClosed() {
+    // The quiz view goes back to the page, where the full-screen quiz expects it
+    const quizView = document.getElementById('quiz-view');
+    if (quizView && overlayRoot && overlayRoot.contains(quizView)) {
+        quizView.classList.add('hidden');
+        document.body.appendChild(quizView);
+    }
+    
+    if (!inSessionQuiz) {
+        return;
+    }
+    inSessionQuiz = null;
+    if (xrSession) {
+        const resetButton = document.getElementById('reset-button');
+        if (resetButton) {
+            resetButton.classList.remove('hidden');
+        }
+    }
+}
+
+/**
+ * The ray of a select (tap): through the tapped point for screen input, or straight
+ * ahead from the viewer when the input source has no target ray (simulated and replayed taps)
+ * @param {XRInputSourceEvent} event - Select event
+ * @returns {Object|null} { origin, direction } in the reference space
+ */
+function getSelectRay(event) {
+    const frame = event.frame;
+    if (!frame || !xrReferenceSpace) {
+        return null;
+    }
+    
+    const inputSource = event.inputSource;
+    const pose = inputSource && inputSource.targetRaySpace
+        ? frame.getPose(inputSource.targetRaySpace, xrReferenceSpace)
+        : frame.getViewerPose(xrReferenceSpace);
+    if (!pose) {
+        return null;
+    }
+    
+    const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+    const origin = new THREE.Vector3().setFromMatrixPosition(matrix);
+    const direction = new THREE.Vector3(0, 0, -1).transformDirection(matrix);
+    return { origin: origin, direction: direction };
+}
+
 // ============================================================================
 // CLEANUP & RESOURCE MANAGEMENT
 // ============================================================================
@@ -2062,82 +3739,18 @@ async function exitARToQuiz() {
 function cleanupARResources() {
     console.log('Cleaning up AR resources...');
     
+    // A quiz open in AR belongs to the ended session
+    closeQuizInAR();
+    
     // Stop render loop first
     if (renderer && renderer.setAnimationLoop) {
         renderer.setAnimationLoop(null);
     }
     
-    // Clean up content group and all spawned objects
+    // Remove every placed hazard and dispose its resources
     if (contentGroup) {
-        contentGroup.visible = false;
-        
-        // Reset transform
-        contentGroup.position.set(0, 0, 0);
-        contentGroup.rotation.set(0, 0, 0);
-        contentGroup.scale.set(1, 1, 1);
-        contentGroup.matrix.identity();
-        contentGroup.matrixAutoUpdate = true;
-        
-        // Dispose all children and their resources
-        while (contentGroup.children.length > 0) {
-            const child = contentGroup.children[0];
-            contentGroup.remove(child);
-            
-            // Dispose geometry
-            if (child.geometry) {
-                child.geometry.dispose();
-            }
-            
-            // Dispose material(s)
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(mat => {
-                        if (mat) mat.dispose();
-                    });
-                } else {
-                    child.material.dispose();
-                }
-            }
-            
-            // Traverse and dispose all nested objects
-            if (child.traverse) {
-                child.traverse((obj) => {
-                    if (obj.geometry) {
-                        obj.geometry.dispose();
-                    }
-                    if (obj.material) {
-                        if (Array.isArray(obj.material)) {
-                            obj.material.forEach(mat => {
-                                if (mat) mat.dispose();
-                            });
-                        } else {
-                            obj.material.dispose();
-                        }
-                    }
-                    // Dispose textures if they exist
-                    if (obj.material && obj.material.map) {
-                        obj.material.map.dispose();
-                    }
-                    if (obj.material && obj.material.normalMap) {
-                        obj.material.normalMap.dispose();
-                    }
-                    if (obj.material && obj.material.emissiveMap) {
-                        obj.material.emissiveMap.dispose();
-                    }
-                });
-            }
-            
-            // Call dispose if available
-            if (child.dispose && typeof child.dispose === 'function') {
-                try {
-                    child.dispose();
-                } catch (e) {
-                    console.warn('Error disposing child:', e);
-                }
-            }
-        }
-        
-        console.log('Content group cleaned up');
+        clearHazards();
+        console.log('Placed hazards cleaned up');
     }
     
     // Clean up reticle
@@ -2149,21 +3762,12 @@ function cleanupARResources() {
         reticle.matrix.identity();
     }
     
-    // Reset model references (these are clones, so they're already disposed above)
-    cubeMesh = null;
-    wireModel = null;
-    puddleModel = null;
-    
     // Reset all state variables
     isAnchored = false;
-    placedSurfaceType = null;
     currentSurfaceType = null;
-    currentModelType = null;
     isExitingToQuiz = false;
     
-    // Reset gaze detection
-    gazeTimer = 0;
-    isGazingAtModel = false;
+    // Reset gaze detection (per-hazard timers went with the hazards)
     lastGazeCheckTime = 0;
     
     // Reset auto-spawn state
@@ -2185,10 +3789,210 @@ function cleanupARResources() {
     // Clean up XR resources
     xrHitTestSource = null;
     xrReferenceSpace = null;
+    xrReferenceSpaceType = null;
+    anchorsSupported = false;
+    persistentAnchorsSupported = false;
+    planeDetectionSupported = false;
+    currentSurfaceExtents = null;
+    latestHitTestResult = null;
+    
+    // The simulator's mock room belongs to the ended session
+    removeSimulatedEnvironment();
+    
+    // A session suspended for the quiz is not resumed after a cleanup
+    suspendedSession = null;
+    
+    // Light probes, depth data and tracked images belong to the ended session
+    stopLightEstimation();
+    stopDepthOcclusion();
+    stopImageTracking();
+    
+    // Forget the floor height - the next session has a new reference space
+    observedFloorY = null;
     
     console.log('AR resources cleaned up');
 }
 
+/**
+ * Removes the mock room of a ?simulate=1 or ?replay session from the scene
+ */
+function removeSimulatedEnvironment() {
+    if (!simulatedEnvironment) {
+        return;
+    }
+    
+    if (simulatedEnvironment.parent) {
+        simulatedEnvironment.parent.remove(simulatedEnvironment);
+    }
+    disposeObject(simulatedEnvironment);
+    simulatedEnvironment = null;
+}
+
+// ============================================================================
+// SUSPEND & RESUME
+// ============================================================================
+// Leaving AR for the full-screen quiz ends the XR session, but the renderer, scene,
+// loaded models and placed hazards are kept. Back to AR requests a new session and
+// puts each hazard back on its first tracked frame: on its restored persistent anchor
+// where it has one, otherwise at the pose it had relative to the viewer when the
+// session was suspended (and anchored there again where anchors are supported).
+
+/**
+ * Ends the XR session for the full-screen quiz, keeping the scene and placed hazards
+ */
+function suspendSession() {
+    // The camera holds the last viewer pose in the reference space that is about to go away
+    camera.updateMatrixWorld(true);
+    const viewerInverse = camera.matrixWorld.clone().invert();
+    
+    suspendedSession = {
+        placements: placedHazards.map(hazard => {
+            hazard.group.updateMatrix();
+            return {
+                hazard: hazard,
+                viewerOffset: viewerInverse.clone().multiply(hazard.group.matrix)
+            };
+        })
+    };
+    
+    placedHazards.forEach(hazard => {
+        // Anchors end with their session (persistent handles and anchor offsets are kept)
+        hazard.anchor = null;
+        hazard.isGazing = false;
+        hazard.gazeTimer = 0;
+    });
+    gazedHazard = null;
+    lastGazeCheckTime = 0;
+    lastAnimationTimestamp = 0; // The next session's frame timestamps start again
+    
+    // Poster hazards stay mapped to their posters and follow them again once seen
+    imageTrackingActive = false;
+    imageTargetHazards.forEach((hazard, targetId) => {
+        if (!hazard) {
+            imageTargetHazards.delete(targetId); // Still loading - spawned again in the next session
+        }
+    });
+    
+    // Everything else that tracked the room belongs to the ending session
+    stopLightEstimation();
+    stopDepthOcclusion();
+    removeSimulatedEnvironment();
+    observedFloorY = null;
+    recentHitTestPoses = [];
+    latestHitTestResult = null;
+    currentSurfaceType = null;
+    currentSurfaceExtents = null;
+    xrReferenceSpace = null;
+    if (reticle) {
+        reticle.visible = false;
+    }
+    
+    if (xrSession) {
+        xrSession.end();
+        xrSession = null;
+    }
+    
+    // Stop render loop
+    if (renderer && renderer.setAnimationLoop) {
+        renderer.setAnimationLoop(null);
+    }
+    
+    debugLog(`AR session suspended with ${suspendedSession.placements.length} hazard(s)`);
+}
+
+/**
+ * Starts a new XR session for the suspended scene and hazards (Back to AR after the
+ * full-screen quiz). Returns to the start screen if the session cannot be started.
+ */
+async function resumeSession() {
+    if (!suspendedSession) {
+        throw new Error('There is no suspended AR session to resume.');
+    }
+    
+    isExitingToQuiz = false;
+    
+    // Show the AR container and canvas hidden by the quiz view
+    getDOMElements();
+    arContainer.style.display = 'block';
+    arContainer.style.visibility = 'visible';
+    const canvas = renderer.domElement;
+    canvas.style.display = 'block';
+    canvas.style.visibility = 'visible';
+    canvas.style.opacity = '1';
+    
+    try {
+        await startXRSession();
+    } catch (error) {
+        returnToStartScreen();
+        throw error;
+    }
+    
+    placedHazards.forEach(startHazardAudio);
+    debugLog('AR session resumed');
+}
+
+/**
+ * Puts the suspended session's hazards back in the new reference space
+ * @param {XRFrame} frame - Current XR frame of the resumed session
+ */
+function restoreSuspendedPlacements(frame) {
+    const viewerPose = frame.getViewerPose(xrReferenceSpace);
+    if (!viewerPose) {
+        return;
+    }
+    
+    const viewerMatrix = new THREE.Matrix4().fromArray(viewerPose.transform.matrix);
+    const placements = suspendedSession.placements;
+    suspendedSession = null;
+    
+    placements.forEach(({ hazard, viewerOffset }) => {
+        if (hazard.removed) {
+            return;
+        }
+        
+        const matrix = viewerMatrix.clone().multiply(viewerOffset);
+        matrix.decompose(hazard.group.position, hazard.group.quaternion, hazard.group.scale);
+        
+        if (hazard.imageTargetId) {
+            return; // Moved back onto its poster once the poster is seen
+        }
+        // Visibility is left as it was: a saved hazard whose anchor was never tracked stays
+        // hidden until it is, and its relative pose is meaningless, so it is not anchored there
+        if (hazard.persistentHandle && persistentAnchorsSupported) {
+            restoreHazardAnchor(hazard);
+        } else if (hazard.group.visible) {
+            attachHazardAnchor(hazard, requestPlacementAnchor(frame, matrix));
+        }
+    });
+    
+    isAnchored = placedHazards.length > 0;
+    console.log(`Restored ${placements.length} hazard placement(s) after the quiz`);
+}
+
+/**
+ * Re-attaches a resumed hazard to its persistent anchor. Its anchor offset still
+ * applies, so the hazard moves back to its place in the room once the anchor is tracked.
+ * @param {Object} hazard - Placed hazard with a persistent handle
+ */
+async function restoreHazardAnchor(hazard) {
+    const session = xrSession;
+    
+    try {
+        const anchor = await session.restorePersistentAnchor(hazard.persistentHandle);
+        
+        // The hazard may have been removed, or the session ended, while restoring
+        if (hazard.removed || session !== xrSession) {
+            deleteAnchor(anchor);
+            return;
+        }
+        
+        hazard.anchor = anchor;
+        debugLog(`Hazard ${hazard.id} re-attached to its persistent anchor`);
+    } catch (error) {
+        console.warn(`Could not restore the anchor of hazard ${hazard.id} - keeping its current placement:`, error);
+    }
+}
+
 // ============================================================================
 // RETURN TO START SCREEN
 // ============================================================================
@@ -2274,6 +4078,10 @@ function returnToStartScreen() {
     if (closeButton) {
         closeButton.classList.add('hidden');
     }
+    const muteButton = document.getElementById('mute-button');
+    if (muteButton) {
+        muteButton.classList.add('hidden');
+    }
     
     // Hide quiz button
     hideQuizButton();
@@ -2295,90 +4103,19 @@ function resetAnchor() {
     console.log('Reset button pressed - resetting anchor...');
     
     isAnchored = false;
-    placedSurfaceType = null;
-    
-        // Force hide the content group and all its children
-        if (contentGroup) {
-            contentGroup.visible = false;
-            // Also reset position, rotation, and matrix to ensure it's not visible
-            contentGroup.position.set(0, 0, 0);
-            contentGroup.rotation.set(0, 0, 0);
-            contentGroup.scale.set(1, 1, 1);
-            contentGroup.matrix.identity();
-            contentGroup.matrixAutoUpdate = true;
-        
-        // Clear all children with proper resource disposal
-        while (contentGroup.children.length > 0) {
-            const child = contentGroup.children[0];
-            contentGroup.remove(child);
-            
-            // Dispose geometry
-            if (child.geometry) {
-                child.geometry.dispose();
-            }
-            
-            // Dispose material(s)
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(mat => {
-                        if (mat) mat.dispose();
-                    });
-                } else {
-                    child.material.dispose();
-                }
-            }
-            
-            // Traverse and dispose all nested objects including textures
-            if (child.traverse) {
-                child.traverse((obj) => {
-                    if (obj.geometry) {
-                        obj.geometry.dispose();
-                    }
-                    if (obj.material) {
-                        if (Array.isArray(obj.material)) {
-                            obj.material.forEach(mat => {
-                                if (mat) mat.dispose();
-                            });
-                        } else {
-                            obj.material.dispose();
-                        }
-                    }
-                    // Dispose textures if they exist
-                    if (obj.material && obj.material.map) {
-                        obj.material.map.dispose();
-                    }
-                    if (obj.material && obj.material.normalMap) {
-                        obj.material.normalMap.dispose();
-                    }
-                    if (obj.material && obj.material.emissiveMap) {
-                        obj.material.emissiveMap.dispose();
-                    }
-                });
-            }
-            
-            // Call dispose if available
-            if (child.dispose && typeof child.dispose === 'function') {
-                try {
-                    child.dispose();
-                } catch (e) {
-                    console.warn('Error disposing child:', e);
-                }
-            }
-        }
-        
-        console.log('Content group cleared and position reset');
-    }
     
-    // Reset references
-    cubeMesh = null;
-    wireModel = null;
-    puddleModel = null;
-    currentModelType = null;
+    // Reset is deliberate - saved hazards are forgotten too
+    forgetPersistedHazards();
+    
+    // Remove every placed hazard and dispose its resources
+    if (contentGroup) {
+        clearHazards();
+        console.log('All placed hazards removed');
+    }
     
-    // Reset gaze detection
-    gazeTimer = 0;
-    isGazingAtModel = false;
+    // Reset gaze detection (and close a quiz opened for one of the removed hazards)
     hideQuizButton();
+    closeQuizInAR();
     
     // Reset auto-spawn state
     autoSpawnTimer = 0;
@@ -2407,7 +4144,7 @@ function resetAnchor() {
         updateReticleAppearance('floor');
     }
     
-    debugLog('Anchor reset complete - isAnchored:', isAnchored, 'contentGroup.visible:', contentGroup ? contentGroup.visible : 'N/A');
+    debugLog('Anchor reset complete - isAnchored:', isAnchored, 'placed hazards:', placedHazards.length);
 }
 
 // ============================================================================
@@ -2421,7 +4158,18 @@ if (typeof window !== 'undefined') {
         cleanup: cleanupARResources,
         isAnchored: () => isAnchored,
         exitToQuiz: exitARToQuiz,
-        getCurrentModelType: () => currentModelType,
+        resume: resumeSession,
+        isSuspended: () => !!suspendedSession && !xrSession,
+        openQuiz: openQuizInAR,
+        closeQuiz: closeQuizInAR,
+        getCurrentModelType: () => (gazedHazard ? gazedHazard.scenario.quizKey : null),
+        getCurrentSurfaceExtents: () => (currentSurfaceExtents ? { ...currentSurfaceExtents } : null),
+        getPlacedHazards: () => placedHazards.map(hazard => ({
+            id: hazard.id,
+            scenarioId: hazard.scenario.id,
+            surfaceType: hazard.surfaceType,
+            quizCompleted: hazard.quizCompleted
+        })),
         debugMode: () => debugMode,
         setDebugMode: (enabled) => { debugMode = enabled; },
         _renderer: null, // Will be set after renderer is created
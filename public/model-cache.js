@@ -0,0 +1,234 @@
+// Model Cache for AR Experience
+// Loads GLB/GLTF models once per session and shares the parsed result between spawns
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // STATE
+    // ============================================================================
+
+    // Single GLTFLoader instance used for every model
+    let gltfLoader = null;
+
+    // Parsed GLTFs keyed by URL (stored as promises so concurrent requests share one download)
+    const modelCache = new Map();
+
+    // URLs whose GLTF has finished loading (the promise in modelCache is resolved)
+    const loadedUrls = new Set();
+
+    // Latest download progress per URL (0-1), used to report aggregate progress
+    const progressByUrl = new Map();
+
+    // Listeners notified whenever any model reports progress
+    const progressListeners = new Set();
+
+    // ============================================================================
+    // GLTF LOADER SETUP
+    // ============================================================================
+
+    /**
+     * Initialize the GLTFLoader - simple check and create instance
+     * @returns {THREE.GLTFLoader|null} The loader, or null if GLTFLoader.js is missing
+     */
+    function initGLTFLoader() {
+        if (gltfLoader) {
+            return gltfLoader; // Already initialized, reuse instance
+        }
+
+        if (typeof THREE === 'undefined' || typeof THREE.GLTFLoader === 'undefined') {
+            console.error('❌ GLTFLoader not available! Make sure GLTFLoader.js script is loaded after Three.js');
+            if (window.Toast) {
+                window.Toast.error('GLTFLoader not found. 3D models cannot be loaded. Please refresh the page.', 'Loader Error', 8000);
+            }
+            return null;
+        }
+
+        try {
+            gltfLoader = new THREE.GLTFLoader();
+            console.log('✅ GLTFLoader initialized');
+            return gltfLoader;
+        } catch (e) {
+            console.error('❌ Failed to create GLTFLoader instance:', e);
+            if (window.Toast) {
+                window.Toast.error('Failed to initialize GLTFLoader. Please refresh the page.', 'Loader Error', 8000);
+            }
+            return null;
+        }
+    }
+
+    // ============================================================================
+    // LOADING
+    // ============================================================================
+
+    /**
+     * Records progress for a URL and notifies listeners
+     * @param {string} url - Model URL
+     * @param {number} fraction - Progress between 0 and 1
+     */
+    function reportProgress(url, fraction) {
+        progressByUrl.set(url, fraction);
+        progressListeners.forEach(listener => {
+            try {
+                listener(url, fraction);
+            } catch (e) {
+                console.warn('Model progress listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Load a GLB/GLTF model, reusing the cached result for URLs loaded earlier in the session
+     * @param {string} url - Path to the GLB file
+     * @param {Function} [onProgress] - Called with a 0-100 percentage while downloading
+     * @returns {Promise<Object>} - The loaded GLTF object with scene property (shared - clone before use)
+     */
+    function loadModel(url, onProgress) {
+        if (!modelCache.has(url)) {
+            modelCache.set(url, fetchModel(url));
+        }
+
+        const promise = modelCache.get(url);
+
+        if (onProgress) {
+            if (isLoaded(url)) {
+                onProgress(100);
+            } else {
+                // Follow this URL's progress until it settles (also covers downloads already in flight)
+                const listener = (progressUrl, fraction) => {
+                    if (progressUrl === url) {
+                        onProgress(Math.round(fraction * 100));
+                    }
+                };
+                progressListeners.add(listener);
+                const stopListening = () => progressListeners.delete(listener);
+                promise.then(stopListening, stopListening);
+            }
+        }
+
+        return promise;
+    }
+
+    /**
+     * Downloads and parses a model, recording it as loaded on success
+     * @param {string} url - Path to the GLB file
+     * @returns {Promise<Object>} - The loaded GLTF object
+     */
+    function fetchModel(url) {
+        const promise = new Promise((resolve, reject) => {
+            // Initialize loader if needed
+            if (!gltfLoader) {
+                gltfLoader = initGLTFLoader();
+            }
+
+            if (!gltfLoader) {
+                reject(new Error('GLTFLoader not available. Please ensure GLTFLoader.js is loaded.'));
+                return;
+            }
+
+            reportProgress(url, 0);
+
+            // Load the model
+            gltfLoader.load(
+                url,
+                (gltf) => {
+                    console.log('✅ Model loaded successfully:', url);
+                    loadedUrls.add(url);
+                    reportProgress(url, 1);
+                    resolve(gltf);
+                },
+                (progress) => {
+                    // Progress callback - drives the loading overlay
+                    if (progress.total > 0) {
+                        const fraction = progress.loaded / progress.total;
+                        const percent = Math.round(fraction * 100);
+                        console.log(`Loading ${url}: ${percent}%`);
+                        reportProgress(url, fraction);
+                    }
+                },
+                (error) => {
+                    console.error('❌ Failed to load model:', url, error);
+                    reject(new Error(`Failed to load model from ${url}: ${error.message || error}`));
+                }
+            );
+        });
+
+        // Don't cache failures - allow the next spawn to retry
+        promise.catch(() => {
+            modelCache.delete(url);
+            progressByUrl.delete(url);
+        });
+
+        return promise;
+    }
+
+    /**
+     * Whether a model has finished loading and is ready to clone without waiting
+     * @param {string} url - Model URL
+     * @returns {boolean}
+     */
+    function isLoaded(url) {
+        return loadedUrls.has(url);
+    }
+
+    /**
+     * Loads several models in parallel, reporting their combined progress
+     * @param {Array<string>} urls - Model URLs (duplicates are ignored)
+     * @param {Function} [onProgress] - Called with the combined 0-100 percentage
+     * @returns {Promise<Array<Object>>} Settled results, one per unique URL (failures do not reject)
+     */
+    function preloadModels(urls, onProgress) {
+        const uniqueUrls = Array.from(new Set(urls.filter(Boolean)));
+        if (uniqueUrls.length === 0) {
+            if (onProgress) onProgress(100);
+            return Promise.resolve([]);
+        }
+
+        const report = () => {
+            if (!onProgress) return;
+            const total = uniqueUrls.reduce((sum, url) => {
+                return sum + (isLoaded(url) ? 1 : (progressByUrl.get(url) || 0));
+            }, 0);
+            onProgress(Math.round((total / uniqueUrls.length) * 100));
+        };
+
+        const listener = (url) => {
+            if (uniqueUrls.includes(url)) {
+                report();
+            }
+        };
+        progressListeners.add(listener);
+        report();
+
+        return Promise.allSettled(uniqueUrls.map(url => loadModel(url))).then(results => {
+            progressListeners.delete(listener);
+            report();
+            const failed = results.filter(result => result.status === 'rejected').length;
+            console.log(`Preloaded ${uniqueUrls.length - failed}/${uniqueUrls.length} models`);
+            return results;
+        });
+    }
+
+    /**
+     * Drops every cached model (e.g. to free memory)
+     */
+    function clear() {
+        modelCache.clear();
+        loadedUrls.clear();
+        progressByUrl.clear();
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.ModelCache = {
+        initGLTFLoader: initGLTFLoader,
+        loadModel: loadModel,
+        preloadModels: preloadModels,
+        isLoaded: isLoaded,
+        clear: clear
+    };
+
+    console.log('ModelCache initialized');
+})();
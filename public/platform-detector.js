@@ -111,22 +111,37 @@ async function checkWebXRSupport() {
 // IMAGE TRACKING FEATURE CHECK
 // ============================================================================
 
-async function checkImageTrackingSupport() {
-    if (!navigator.xr) {
+/**
+ * Checks whether an AR session can track the images it was started with.
+ * Image tracking has to be requested when the session starts (with the images),
+ * so this inspects a running session instead of starting a throwaway one.
+ * @param {XRSession} session - Session requested with 'image-tracking' and trackedImages
+ * @returns {Promise<boolean>} True if at least one of the session's images is trackable
+ */
+async function checkImageTrackingSupport(session) {
+    if (!session) {
+        return false;
+    }
+    
+    if (session.enabledFeatures && !session.enabledFeatures.includes('image-tracking')) {
+        console.log('Image tracking not available: feature not granted');
+        return false;
+    }
+    
+    if (typeof session.getTrackedImageScores !== 'function') {
+        console.log('Image tracking not available: getTrackedImageScores is not supported');
         return false;
     }
     
     try {
-        // Check if image tracking is available as a feature
-        const session = await navigator.xr.requestSession('immersive-ar', {
-            requiredFeatures: ['local'],
-            optionalFeatures: ['image-tracking']
+        // One score per tracked image: 'trackable' or 'untrackable' (e.g. too few features)
+        const scores = await session.getTrackedImageScores();
+        scores.forEach((score, index) => {
+            if (score !== 'trackable') {
+                console.warn(`Tracked image ${index} is not trackable (${score})`);
+            }
         });
-        
-        // If we got here, image tracking might be available
-        // We'll need to actually try to use it to know for sure
-        session.end();
-        return true;
+        return scores.includes('trackable');
     } catch (error) {
         console.log('Image tracking not available:', error);
         return false;
@@ -159,11 +174,12 @@ async function detectARCapabilities() {
 
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { detectPlatform, checkWebXRSupport, detectARCapabilities, waitForVariantLaunchSDK };
+    module.exports = { detectPlatform, checkWebXRSupport, checkImageTrackingSupport, detectARCapabilities, waitForVariantLaunchSDK };
 } else {
     window.PlatformDetector = {
         detectPlatform,
         checkWebXRSupport,
+        checkImageTrackingSupport,
         detectARCapabilities,
         waitForVariantLaunchSDK
     };
@@ -0,0 +1,292 @@
+// Quiz Data Validator for AR Experience
+// Checks quiz-data.json against the format quiz.js expects and reports every problem
+// with its JSON path (e.g. `wire-model.questions[1].correct`). Used by quiz.js on load,
+// by ScenarioManager to keep scenarios with broken quizzes out of the experience, and
+// by validate-quiz.html for content authors.
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    const QUESTION_TYPES = ['single', 'true-false', 'image-choice', 'multi', 'ordering'];
+    const SETTINGS = {
+        shuffleQuestions: 'boolean',
+        shuffleOptions: 'boolean',
+        questionCount: 'number',
+        passMark: 'number'
+    };
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    function isIndex(value, length) {
+        return Number.isInteger(value) && value >= 0 && value < length;
+    }
+
+    function describe(value) {
+        if (value === undefined) {
+            return 'missing';
+        }
+        return Array.isArray(value) ? 'an array' : (value === null ? 'null' : `${JSON.stringify(value)} (${typeof value})`);
+    }
+
+    /**
+     * Collects errors for one quiz, each tagged with the quiz key
+     */
+    function createReporter(errors, quizKey) {
+        return (path, message) => {
+            errors.push({ quizKey: quizKey, path: path, message: message });
+        };
+    }
+
+    // ============================================================================
+    // QUESTION VALIDATION
+    // ============================================================================
+
+    /**
+     * Checks the `options` of a question (and returns how many there are, or -1)
+     */
+    function validateOptions(question, type, path, report) {
+        if (type === 'true-false' && question.options === undefined) {
+            return 2; // Defaults to ["True", "False"]
+        }
+        if (!Array.isArray(question.options)) {
+            report(`${path}.options`, `must be an array of options, but is ${describe(question.options)}`);
+            return -1;
+        }
+        if (type === 'true-false' && question.options.length !== 2) {
+            report(`${path}.options`, `true-false questions need exactly 2 options (True, False), found ${question.options.length}`);
+        } else if (question.options.length < 2) {
+            report(`${path}.options`, `needs at least 2 options, found ${question.options.length}`);
+        }
+
+        question.options.forEach((option, index) => {
+            const optionPath = `${path}.options[${index}]`;
+            if (type === 'image-choice') {
+                if (!isObject(option)) {
+                    report(optionPath, `image-choice options must be { "image": "...", "label": "..." }, but is ${describe(option)}`);
+                    return;
+                }
+                if (!isNonEmptyString(option.image)) {
+                    report(`${optionPath}.image`, `must be an image URL, but is ${describe(option.image)}`);
+                }
+                if (option.label !== undefined && typeof option.label !== 'string') {
+                    report(`${optionPath}.label`, `must be text, but is ${describe(option.label)}`);
+                }
+                if (option.feedback !== undefined && !isNonEmptyString(option.feedback)) {
+                    report(`${optionPath}.feedback`, `must be text, but is ${describe(option.feedback)}`);
+                }
+            } else if (!isNonEmptyString(option)) {
+                report(optionPath, `must be non-empty text, but is ${describe(option)}`);
+            }
+        });
+        return question.options.length;
+    }
+
+    /**
+     * Checks `correct` against the question type and option count
+     */
+    function validateCorrect(question, type, optionCount, path, report) {
+        const correct = question.correct;
+        const correctPath = `${path}.correct`;
+        const range = optionCount > 0 ? `0-${optionCount - 1}` : 'an option index';
+
+        switch (type) {
+            case 'true-false':
+                if (typeof correct !== 'boolean') {
+                    report(correctPath, `must be true or false, but is ${describe(correct)}`);
+                }
+                break;
+            case 'multi':
+                if (!Array.isArray(correct) || correct.length === 0) {
+                    report(correctPath, `must be a non-empty array of option indices, but is ${describe(correct)}`);
+                    break;
+                }
+                correct.forEach((index, position) => {
+                    if (optionCount >= 0 && !isIndex(index, optionCount)) {
+                        report(`${correctPath}[${position}]`, `must be an option index (${range}), but is ${describe(index)}`);
+                    } else if (correct.indexOf(index) !== position) {
+                        report(`${correctPath}[${position}]`, `option ${index} is listed more than once`);
+                    }
+                });
+                break;
+            case 'ordering':
+                if (!Array.isArray(correct)) {
+                    report(correctPath, `must list every option index in the right order, but is ${describe(correct)}`);
+                    break;
+                }
+                if (optionCount >= 0) {
+                    const isPermutation = correct.length === optionCount &&
+                        correct.every((index, position) => isIndex(index, optionCount) && correct.indexOf(index) === position);
+                    if (!isPermutation) {
+                        report(correctPath, `must list each option index (${range}) exactly once, but is ${JSON.stringify(correct)}`);
+                    }
+                }
+                break;
+            default:
+                if (optionCount >= 0 && !isIndex(correct, optionCount)) {
+                    report(correctPath, `must be the index of the correct option (${range}), but is ${describe(correct)}`);
+                }
+        }
+    }
+
+    function validateQuestion(question, path, report) {
+        if (!isObject(question)) {
+            report(path, `must be a question object, but is ${describe(question)}`);
+            return;
+        }
+        if (!isNonEmptyString(question.question)) {
+            report(`${path}.question`, `must be the question text, but is ${describe(question.question)}`);
+        }
+
+        const type = question.type === undefined ? 'single' : question.type;
+        if (!QUESTION_TYPES.includes(type)) {
+            report(`${path}.type`, `must be one of ${QUESTION_TYPES.join(', ')}, but is ${describe(question.type)}`);
+            return;
+        }
+
+        const optionCount = validateOptions(question, type, path, report);
+        validateCorrect(question, type, optionCount, path, report);
+
+        if (question.feedback !== undefined) {
+            if (!Array.isArray(question.feedback)) {
+                report(`${path}.feedback`, `must be an array with one entry (text or null) per option, but is ${describe(question.feedback)}`);
+            } else {
+                if (optionCount >= 0 && question.feedback.length !== optionCount) {
+                    report(`${path}.feedback`, `has ${question.feedback.length} entries but the question has ${optionCount} options`);
+                }
+                question.feedback.forEach((feedback, index) => {
+                    if (feedback !== null && !isNonEmptyString(feedback)) {
+                        report(`${path}.feedback[${index}]`, `must be text or null, but is ${describe(feedback)}`);
+                    }
+                });
+            }
+        }
+        if (question.explanation !== undefined && !isNonEmptyString(question.explanation)) {
+            report(`${path}.explanation`, `must be text, but is ${describe(question.explanation)}`);
+        }
+    }
+
+    // ============================================================================
+    // QUIZ VALIDATION
+    // ============================================================================
+
+    /**
+     * Validates one quiz
+     * @param {string} quizKey - Key of the quiz in quiz-data.json
+     * @param {*} quiz - The quiz value
+     * @returns {Array<Object>} Errors ({ quizKey, path, message })
+     */
+    function validateQuiz(quizKey, quiz) {
+        const errors = [];
+        const report = createReporter(errors, quizKey);
+        const path = quizKey;
+
+        if (!isObject(quiz)) {
+            report(path, `must be a quiz object with "title" and "questions", but is ${describe(quiz)}`);
+            return errors;
+        }
+        if (!isNonEmptyString(quiz.title)) {
+            report(`${path}.title`, `must be the quiz title, but is ${describe(quiz.title)}`);
+        }
+        if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+            report(`${path}.questions`, `must be a non-empty array of questions, but is ${describe(quiz.questions)}`);
+        } else {
+            quiz.questions.forEach((question, index) => {
+                validateQuestion(question, `${path}.questions[${index}]`, report);
+            });
+        }
+
+        if (quiz.settings !== undefined) {
+            if (!isObject(quiz.settings)) {
+                report(`${path}.settings`, `must be an object, but is ${describe(quiz.settings)}`);
+            } else {
+                Object.keys(quiz.settings).forEach((name) => {
+                    const value = quiz.settings[name];
+                    if (!SETTINGS[name]) {
+                        report(`${path}.settings.${name}`, `is not a known setting (${Object.keys(SETTINGS).join(', ')})`);
+                    } else if (typeof value !== SETTINGS[name]) {
+                        report(`${path}.settings.${name}`, `must be a ${SETTINGS[name]}, but is ${describe(value)}`);
+                    }
+                });
+                const count = quiz.settings.questionCount;
+                if (typeof count === 'number' && (!Number.isInteger(count) || count < 1)) {
+                    report(`${path}.settings.questionCount`, `must be a whole number of at least 1, but is ${count}`);
+                } else if (typeof count === 'number' && Array.isArray(quiz.questions) && count > quiz.questions.length) {
+                    report(`${path}.settings.questionCount`, `asks for ${count} questions but the quiz only has ${quiz.questions.length}`);
+                }
+                const passMark = quiz.settings.passMark;
+                if (typeof passMark === 'number' && !(passMark >= 0 && passMark <= 100)) {
+                    report(`${path}.settings.passMark`, `must be a percentage from 0 to 100, but is ${passMark}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates the whole of quiz-data.json
+     * @param {*} data - Parsed quiz-data.json
+     * @returns {Array<Object>} Errors ({ quizKey, path, message }); quizKey is null for file-level errors
+     */
+    function validateQuizData(data) {
+        if (!isObject(data)) {
+            return [{ quizKey: null, path: '(root)', message: `must be an object of quizzes keyed by quiz key, but is ${describe(data)}` }];
+        }
+        return Object.keys(data).reduce((errors, quizKey) => errors.concat(validateQuiz(quizKey, data[quizKey])), []);
+    }
+
+    /**
+     * Checks that every scenario's quizKey has a quiz
+     * @param {Array<Object>} scenarios - `scenarios` from scenarios.json
+     * @param {Object} data - Parsed quiz-data.json
+     * @returns {Array<Object>} Errors ({ quizKey, path, message }) with scenarios.json paths
+     */
+    function validateQuizReferences(scenarios, data) {
+        const errors = [];
+        (scenarios || []).forEach((scenario, index) => {
+            const path = `scenarios[${index}].quizKey`;
+            if (!isNonEmptyString(scenario.quizKey)) {
+                errors.push({ quizKey: null, path: path, message: `scenario "${scenario.id}" has no quizKey` });
+            } else if (!isObject(data) || !Object.prototype.hasOwnProperty.call(data, scenario.quizKey)) {
+                errors.push({ quizKey: scenario.quizKey, path: path, message: `scenario "${scenario.id}" uses quiz "${scenario.quizKey}", which is not in quiz-data.json` });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Formats an error for logs and the validator page
+     * @param {Object} error - { path, message }
+     * @param {string} [file='quiz-data.json'] - File the path is in
+     * @returns {string}
+     */
+    function formatError(error, file = 'quiz-data.json') {
+        return `${file} ${error.path}: ${error.message}`;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.QuizValidator = {
+        QUESTION_TYPES: QUESTION_TYPES,
+        validateQuiz: validateQuiz,
+        validateQuizData: validateQuizData,
+        validateQuizReferences: validateQuizReferences,
+        formatError: formatError
+    };
+})();
@@ -11,18 +11,24 @@
     let quizData = null;
     let quizDataLoaded = false;
     let quizDataLoading = false;
+    let invalidQuizKeys = new Set(); // Quizzes that failed validation (see quiz-validator.js)
+    const COMPLETION_STORAGE_KEY = 'quizCompletion';
 
     // ============================================================================
     // STATE
     // ============================================================================
     
-    let currentQuiz = null;
+    let currentQuiz = null; // This attempt's questions (see buildAttempt)
+    let currentModelType = null; // Quiz key the current quiz was opened for
+    let currentOptions = {}; // showQuiz options, reused (without the seed) for a retake
     let currentQuestionIndex = 0;
     let userAnswers = [];
+    let questionAttempts = []; // Per question: every option picked, in order ({ selectedIndex, correct, timestamp })
     let quizView = null;
     let quizContent = null;
     let backToARButton = null;
     let quizScrollWrapper = null;
+    let closeHandler = null; // Set when the quiz was opened outside AR (see showQuiz options)
 
     // ============================================================================
     // iOS SCROLL FIX
@@ -113,6 +119,7 @@
                 throw new Error(`Failed to load quiz data: ${response.status} ${response.statusText}`);
             }
             quizData = await response.json();
+            validateQuizData();
             quizDataLoaded = true;
             console.log('Quiz data loaded successfully');
             return quizData;
@@ -128,6 +135,172 @@
         }
     }
 
+    /**
+     * Validates the loaded quiz data, logging every problem with its JSON path.
+     * Invalid quizzes are never shown (and ScenarioManager won't start their scenarios).
+     */
+    function validateQuizData() {
+        invalidQuizKeys = new Set();
+        if (!window.QuizValidator) {
+            console.warn('QuizValidator not loaded - quiz data is not validated');
+            return;
+        }
+        
+        const errors = window.QuizValidator.validateQuizData(quizData);
+        if (errors.length === 0) {
+            return;
+        }
+        
+        errors.forEach(error => console.error(window.QuizValidator.formatError(error)));
+        if (errors.some(error => error.quizKey === null)) {
+            quizData = {}; // The file itself is unusable
+        }
+        errors.forEach(error => {
+            if (error.quizKey !== null) {
+                invalidQuizKeys.add(error.quizKey);
+            }
+        });
+        
+        if (window.Toast) {
+            window.Toast.error(
+                `${errors.length} problem${errors.length === 1 ? '' : 's'} found in quiz-data.json (see the console or validate-quiz.html). Affected quizzes are disabled: ${Array.from(invalidQuizKeys).join(', ') || 'all'}.`,
+                'Quiz Data Error',
+                8000,
+                true
+            );
+        }
+    }
+    
+    /**
+     * Finds which of the given quizzes can't be shown - missing from quiz-data.json or invalid
+     * @param {string[]} quizKeys - Quiz keys to check
+     * @returns {Promise<Set<string>>} The unusable keys (empty if the quiz data couldn't be loaded at all)
+     */
+    async function findUnusableQuizzes(quizKeys) {
+        try {
+            await loadQuizData();
+        } catch (error) {
+            // Can't tell without the data - the load error has already been reported
+            return new Set();
+        }
+        return new Set(quizKeys.filter(quizKey =>
+            invalidQuizKeys.has(quizKey) || !Object.prototype.hasOwnProperty.call(quizData, quizKey)
+        ));
+    }
+
+    // ============================================================================
+    // ATTEMPTS (SHUFFLING AND QUESTION BANKS)
+    // ============================================================================
+    // A quiz's optional `settings` control what each attempt looks like:
+    // - shuffleQuestions: ask the questions in a random order
+    // - shuffleOptions: show each question's options in a random order ('correct'
+    //   and 'feedback' are remapped; true/false questions keep True first)
+    // - questionCount: ask this many questions, drawn from the quiz's questions
+    // Every attempt has a seed, so the same seed rebuilds the same attempt.
+    
+    /**
+     * Seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit unsigned integer
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    function generateSeed() {
+        if (window.crypto && window.crypto.getRandomValues) {
+            return window.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296);
+    }
+    
+    /**
+     * Fisher-Yates shuffle of a copy of the array
+     * @param {Array} array - Items to shuffle
+     * @param {Function} random - Generator from createRandom()
+     * @returns {Array}
+     */
+    function shuffle(array, random) {
+        const result = array.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+    
+    /**
+     * Copies a question with its options shuffled and `correct`/`feedback` remapped
+     * @param {Object} question - Question from quiz-data.json
+     * @param {Function} random - Generator from createRandom()
+     * @returns {Object} Question copy with `optionOrder` (source index of each shown option)
+     */
+    function shuffleQuestionOptions(question, random) {
+        const options = getQuestionOptions(question);
+        if (getQuestionType(question) === 'true-false' || !options || options.length < 2) {
+            return Object.assign({}, question);
+        }
+        
+        let order = shuffle(options.map((option, index) => index), random);
+        if (getQuestionType(question) === 'ordering') {
+            // Don't start with the items already in the right order
+            while (question.correct.every((index, position) => order[position] === index)) {
+                order = shuffle(order, random);
+            }
+        }
+        
+        const remap = index => order.indexOf(index);
+        const shuffled = Object.assign({}, question, {
+            options: order.map(index => options[index]),
+            correct: Array.isArray(question.correct) ? question.correct.map(remap) : remap(question.correct),
+            optionOrder: order
+        });
+        if (Array.isArray(question.feedback)) {
+            shuffled.feedback = order.map(index => question.feedback[index] || null);
+        }
+        return shuffled;
+    }
+    
+    /**
+     * Builds one attempt at a quiz: which questions are asked, in what order, and
+     * the order of their options
+     * @param {Object} quiz - Quiz from quiz-data.json
+     * @param {number} seed - Attempt seed
+     * @returns {Object} { title, seed, questions } - each question has a `sourceIndex` into quiz.questions
+     */
+    function buildAttempt(quiz, seed) {
+        const settings = quiz.settings || {};
+        const random = createRandom(seed);
+        let order = quiz.questions.map((question, index) => index);
+        
+        if (settings.questionCount > 0 && settings.questionCount < order.length) {
+            // Draw from the bank, keeping file order unless questions are shuffled below
+            order = shuffle(order, random).slice(0, settings.questionCount).sort((a, b) => a - b);
+        }
+        if (settings.shuffleQuestions) {
+            order = shuffle(order, random);
+        }
+        
+        return {
+            title: quiz.title,
+            seed: seed,
+            questions: order.map(index => {
+                const question = settings.shuffleOptions
+                    ? shuffleQuestionOptions(quiz.questions[index], random)
+                    : Object.assign({}, quiz.questions[index]);
+                question.sourceIndex = index;
+                return question;
+            })
+        };
+    }
+
     // ============================================================================
     // DOM ELEMENTS
     // ============================================================================
@@ -150,46 +323,84 @@
     // ============================================================================
     
     /**
-     * Shows the quiz for a given model type
+     * Starts a new attempt at a quiz without showing it. showQuiz() uses this, and so
+     * do quiz views outside #quiz-view (the 3D panels in xr-quiz-panel.js).
      * @param {string} modelType - The type of model ('wire-model', 'green-cube')
+     * @param {Object} [options] - As for showQuiz (seed, scenarioId)
+     * @returns {Promise<boolean>} Whether the attempt started
      */
-    async function showQuiz(modelType) {
-        console.log('Showing quiz for model type:', modelType);
-        
-        if (!getDOMElements()) {
-            console.error('Failed to get quiz DOM elements');
-            if (window.Toast) {
-                window.Toast.error('Quiz UI elements not found. Please refresh the page.', 'Quiz Error', 5000);
-            }
-            return;
-        }
-
+    async function startAttempt(modelType, options = {}) {
         // Load quiz data if not already loaded
         try {
             await loadQuizData();
         } catch (error) {
             console.error('Failed to load quiz data:', error);
-            return;
+            return false;
         }
 
         // Get quiz data for this model type
-        currentQuiz = quizData[modelType];
+        const quiz = quizData[modelType];
         
-        if (!currentQuiz) {
+        if (quiz && invalidQuizKeys.has(modelType)) {
+            console.error('Quiz data is invalid for model type:', modelType);
+            if (window.Toast) {
+                window.Toast.error(`The quiz for ${modelType} has errors in quiz-data.json and can't be shown.`, 'Quiz Error', 5000);
+            }
+            return false;
+        }
+        
+        if (!quiz) {
             console.error('No quiz data found for model type:', modelType);
             if (window.Toast) {
                 window.Toast.error(`No quiz available for ${modelType}`, 'Quiz Error', 5000);
             }
-            return;
+            return false;
         }
 
         // Reset quiz state
+        currentQuiz = buildAttempt(quiz, options.seed !== undefined ? options.seed >>> 0 : generateSeed());
+        currentModelType = modelType;
+        currentOptions = options;
         currentQuestionIndex = 0;
         userAnswers = [];
+        questionAttempts = [];
+        return true;
+    }
 
+    /**
+     * Shows the quiz for a given model type
+     * @param {string} modelType - The type of model ('wire-model', 'green-cube')
+     * @param {Object} [options]
+     * @param {Function} [options.onClose] - Called instead of restarting AR when the quiz is closed
+     * @param {string} [options.closeLabel] - Text of the close button when onClose is given
+     * @param {number} [options.seed] - Seed of an earlier attempt to rebuild (from quiz:complete)
+     * @param {string} [options.scenarioId] - Scenario the quiz belongs to; its completion status is saved
+     * @param {boolean} [options.inSession] - Show the quiz over a running AR session (in its DOM
+     *   overlay) instead of hiding the AR view; use with onClose
+     * @returns {Promise<boolean>} Whether the quiz was shown
+     */
+    async function showQuiz(modelType, options = {}) {
+        console.log('Showing quiz for model type:', modelType);
+        
+        if (!getDOMElements()) {
+            console.error('Failed to get quiz DOM elements');
+            if (window.Toast) {
+                window.Toast.error('Quiz UI elements not found. Please refresh the page.', 'Quiz Error', 5000);
+            }
+            return false;
+        }
+
+        if (!(await startAttempt(modelType, options))) {
+            return false;
+        }
+        closeHandler = typeof options.onClose === 'function' ? options.onClose : null;
+
+        // In a session the scene stays visible behind the quiz; otherwise the AR view is hidden
+        quizView.classList.toggle('in-session', !!options.inSession);
+        
         // Hide AR container completely
         const arContainer = document.getElementById('ar-container');
-        if (arContainer) {
+        if (arContainer && !options.inSession) {
             arContainer.style.display = 'none';
             const canvas = arContainer.querySelector('canvas');
             if (canvas) {
@@ -209,7 +420,7 @@
 
         // Hide XR overlay to prevent compositor interference
         const xrOverlay = document.getElementById('xr-overlay');
-        if (xrOverlay) {
+        if (xrOverlay && !options.inSession) {
             xrOverlay.style.display = 'none';
         }
 
@@ -226,9 +437,190 @@
             void quizScrollWrapper.offsetHeight;
         }
 
-        // Set up back button handler
+        // Set up back button handler (returns to whoever opened the quiz outside AR)
         if (backToARButton) {
-            backToARButton.onclick = backToAR;
+            backToARButton.textContent = closeHandler ? (options.closeLabel || 'Back') : 'Back to AR';
+            backToARButton.onclick = closeHandler ? closeQuiz : backToAR;
+        }
+        return true;
+    }
+
+    /**
+     * Closes a quiz opened with an onClose handler (e.g. from the fallback 3D viewer)
+     */
+    function closeQuiz() {
+        const onClose = closeHandler;
+        
+        if (quizView) {
+            quizView.classList.add('hidden');
+        }
+        if (quizScrollWrapper) {
+            quizScrollWrapper.scrollTop = 0;
+        }
+        
+        // Reset quiz state
+        closeHandler = null;
+        currentQuiz = null;
+        currentModelType = null;
+        currentOptions = {};
+        currentQuestionIndex = 0;
+        userAnswers = [];
+        questionAttempts = [];
+        
+        if (onClose) {
+            onClose();
+        }
+    }
+
+    // ============================================================================
+    // QUESTION TYPES
+    // ============================================================================
+    // Each question in quiz-data.json has an optional `type` (default 'single'):
+    // - 'single': one correct option, `correct` is its index
+    // - 'true-false': `correct` is true or false (`options` defaults to ["True", "False"])
+    // - 'image-choice': like 'single', but each option is { image, label }
+    // - 'multi': all that apply, `correct` is an array of option indices
+    // - 'ordering': `correct` lists the option indices in the right order
+    // Single-answer types are graded on click; 'multi' and 'ordering' are graded
+    // with a Check Answer button.
+
+    const CHOICE_TYPES = ['single', 'true-false', 'image-choice'];
+
+    let currentSelection = []; // Unchecked 'multi' picks, or the current 'ordering' order
+
+    function getQuestionType(question) {
+        return question.type || 'single';
+    }
+
+    function isChoiceQuestion(question) {
+        return CHOICE_TYPES.includes(getQuestionType(question));
+    }
+
+    function getQuestionOptions(question) {
+        if (getQuestionType(question) === 'true-false' && !question.options) {
+            return ['True', 'False'];
+        }
+        return question.options;
+    }
+
+    /**
+     * Returns the correct answer in the form answers are given: an option index for
+     * single-answer types, an array of option indices for 'multi' and 'ordering'
+     * @param {Object} question - Question from quiz-data.json
+     * @returns {number|number[]}
+     */
+    function getCorrectAnswer(question) {
+        if (getQuestionType(question) === 'true-false') {
+            return question.correct ? 0 : 1;
+        }
+        return question.correct;
+    }
+
+    /**
+     * Grades an answer against the question
+     * @param {Object} question - Question from quiz-data.json
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @returns {boolean}
+     */
+    function isAnswerCorrect(question, answer) {
+        const correct = getCorrectAnswer(question);
+        switch (getQuestionType(question)) {
+            case 'multi':
+                return answer.length === correct.length && correct.every(index => answer.includes(index));
+            case 'ordering':
+                return answer.length === correct.length && correct.every((index, position) => answer[position] === index);
+            default:
+                return answer === correct;
+        }
+    }
+
+    function getOptionLabel(option) {
+        return typeof option === 'string' ? option : (option.label || '');
+    }
+
+    // ============================================================================
+    // FEEDBACK AND EXPLANATIONS
+    // ============================================================================
+    // Questions may have an `explanation` (shown once answered correctly) and
+    // per-option `feedback` (an array parallel to `options`, or `feedback` on an
+    // image-choice option object) shown under an option when it is picked.
+
+    /**
+     * @param {Object} question - Question from quiz-data.json
+     * @param {number} index - Option index
+     * @returns {string|null} Feedback text for the option, if any
+     */
+    function getOptionFeedback(question, index) {
+        const option = getQuestionOptions(question)[index];
+        if (option && typeof option === 'object' && option.feedback) {
+            return option.feedback;
+        }
+        return Array.isArray(question.feedback) && question.feedback[index] ? question.feedback[index] : null;
+    }
+
+    function renderOptionFeedback(question, index, correct) {
+        const feedback = getOptionFeedback(question, index);
+        return feedback ? `<div class="option-feedback ${correct ? 'correct' : 'incorrect'}">${feedback}</div>` : '';
+    }
+
+    function renderExplanation(question) {
+        return question.explanation ? `<div class="question-explanation">${question.explanation}</div>` : '';
+    }
+
+    /**
+     * Options picked in wrong attempts that are not part of the correct answer
+     * @param {Object} question - Question from quiz-data.json
+     * @param {Array} attempts - The question's recorded attempts
+     * @returns {number[]} Option indices, in the order they were first picked
+     */
+    function getWrongPicks(question, attempts) {
+        const correct = getCorrectAnswer(question);
+        const isCorrectOption = index => Array.isArray(correct) ? correct.includes(index) : index === correct;
+        const picks = [];
+        (attempts || []).forEach(attempt => {
+            if (attempt.correct) {
+                return;
+            }
+            (attempt.selectedIndices || [attempt.selectedIndex]).forEach(index => {
+                if (!isCorrectOption(index) && !picks.includes(index)) {
+                    picks.push(index);
+                }
+            });
+        });
+        return picks;
+    }
+
+    /**
+     * Shows feedback under the given options, replacing any shown before
+     * @param {Object} question - Question from quiz-data.json
+     * @param {number[]} indices - Options to show feedback for
+     * @param {boolean} correct - Whether they were part of a correct answer
+     */
+    function showOptionFeedback(question, indices, correct) {
+        quizContent.querySelectorAll('.options-container .option-feedback').forEach(element => element.remove());
+        indices.forEach(index => {
+            const button = quizContent.querySelector(`.option-button[data-index="${index}"]`);
+            if (button) {
+                button.insertAdjacentHTML('afterend', renderOptionFeedback(question, index, correct));
+            }
+        });
+    }
+
+    /**
+     * Describes a given answer for the recap
+     * @param {Object} question - Question from quiz-data.json
+     * @param {number|number[]} answer - Answer stored in userAnswers
+     * @returns {string}
+     */
+    function describeAnswer(question, answer) {
+        const options = getQuestionOptions(question);
+        switch (getQuestionType(question)) {
+            case 'multi':
+                return answer.map(index => getOptionLabel(options[index])).join('; ');
+            case 'ordering':
+                return answer.map((index, position) => `${position + 1}. ${getOptionLabel(options[index])}`).join('<br>');
+            default:
+                return getOptionLabel(options[answer]);
         }
     }
 
@@ -243,6 +635,7 @@
         const question = currentQuiz.questions[currentQuestionIndex];
         const totalQuestions = currentQuiz.questions.length;
         const progress = ((currentQuestionIndex + 1) / totalQuestions) * 100;
+        const questionType = getQuestionType(question);
 
         // Build HTML
         let html = `
@@ -257,28 +650,34 @@
             </div>
             <div class="question-container">
                 <div class="question-text">${question.question}</div>
-                <div class="options-container">
         `;
 
+        if (questionType === 'multi') {
+            html += `<div class="question-hint">Select all that apply</div>`;
+        } else if (questionType === 'ordering') {
+            html += `<div class="question-hint">Put these in order, first at the top</div>`;
+        }
+
         // Add answer options
-        const userAnswer = userAnswers[currentQuestionIndex];
-        question.options.forEach((option, index) => {
-            let buttonClass = 'option-button';
-            
-            // If user has already answered this question correctly, show it as correct
-            if (userAnswer !== undefined && index === question.correct) {
-                buttonClass += ' correct';
-            }
-            
-            html += `
-                <button class="${buttonClass}" data-index="${index}">
-                    ${option}
-                </button>
-            `;
-        });
+        if (questionType === 'multi') {
+            html += renderMultiOptions(question);
+        } else if (questionType === 'ordering') {
+            html += renderOrderingOptions(question);
+        } else {
+            html += renderChoiceOptions(question);
+        }
+
+        // Multi-select and ordering answers are checked on request
+        if (!isChoiceQuestion(question) && userAnswers[currentQuestionIndex] === undefined) {
+            html += `<button class="nav-button primary check-button">Check Answer</button>`;
+        }
+
+        // Why the answer is right, once it has been found
+        if (userAnswers[currentQuestionIndex] !== undefined) {
+            html += renderExplanation(question);
+        }
 
         html += `
-                </div>
             </div>
             <div class="quiz-navigation">
         `;
@@ -305,90 +704,149 @@
         attachQuestionListeners();
     }
 
+    /**
+     * Options for 'single', 'true-false' and 'image-choice' questions
+     * @param {Object} question - Question from quiz-data.json
+     * @returns {string} HTML
+     */
+    function renderChoiceOptions(question) {
+        const isImageChoice = getQuestionType(question) === 'image-choice';
+        const userAnswer = userAnswers[currentQuestionIndex];
+        const attempts = questionAttempts[currentQuestionIndex] || [];
+        let html = `<div class="options-container${isImageChoice ? ' image-options' : ''}">`;
+
+        getQuestionOptions(question).forEach((option, index) => {
+            let buttonClass = 'option-button';
+            let feedback = '';
+
+            // If user has already answered this question correctly, show it as correct
+            if (userAnswer !== undefined && index === getCorrectAnswer(question)) {
+                buttonClass += ' correct';
+                feedback = renderOptionFeedback(question, index, true);
+            } else if (attempts.some(attempt => attempt.selectedIndex === index)) {
+                // Wrong options picked before leaving the question stay ruled out
+                buttonClass += ' incorrect';
+                feedback = renderOptionFeedback(question, index, false);
+            }
+
+            if (isImageChoice) {
+                html += `
+                    <button class="${buttonClass} image-option" data-index="${index}">
+                        <img src="${option.image}" alt="${getOptionLabel(option)}">
+                        <span class="image-option-label">${getOptionLabel(option)}</span>
+                    </button>
+                `;
+            } else {
+                html += `
+                    <button class="${buttonClass}" data-index="${index}">
+                        ${getOptionLabel(option)}
+                    </button>
+                `;
+            }
+            html += feedback;
+        });
+
+        return html + `</div>`;
+    }
+
+    /**
+     * Toggle buttons for 'multi' questions
+     * @param {Object} question - Question from quiz-data.json
+     * @returns {string} HTML
+     */
+    function renderMultiOptions(question) {
+        const userAnswer = userAnswers[currentQuestionIndex];
+        currentSelection = [];
+        let html = `<div class="options-container">`;
+
+        getQuestionOptions(question).forEach((option, index) => {
+            let buttonClass = 'option-button multi-option';
+            if (userAnswer !== undefined && userAnswer.includes(index)) {
+                buttonClass += ' correct';
+            }
+            html += `
+                <button class="${buttonClass}" data-index="${index}" aria-pressed="false">
+                    ${getOptionLabel(option)}
+                </button>
+            `;
+            if (userAnswer !== undefined && userAnswer.includes(index)) {
+                html += renderOptionFeedback(question, index, true);
+            }
+        });
+
+        return html + `</div>`;
+    }
+
+    /**
+     * Reorderable list for 'ordering' questions (shown in the answered order once correct)
+     * @param {Object} question - Question from quiz-data.json
+     * @returns {string} HTML
+     */
+    function renderOrderingOptions(question) {
+        const userAnswer = userAnswers[currentQuestionIndex];
+        currentSelection = userAnswer !== undefined ? userAnswer.slice() : getQuestionOptions(question).map((option, index) => index);
+        return renderOrderingList(question, userAnswer !== undefined);
+    }
+
+    /**
+     * Builds the ordering list in currentSelection order
+     * @param {Object} question - Question from quiz-data.json
+     * @param {boolean} answered - Whether the current order is the correct answer
+     * @returns {string} HTML
+     */
+    function renderOrderingList(question, answered) {
+        const options = getQuestionOptions(question);
+        let html = `<ol class="options-container ordering-list">`;
+        currentSelection.forEach((optionIndex, position) => {
+            html += `
+                <li class="option-button ordering-item${answered ? ' correct' : ''}" data-index="${optionIndex}">
+                    <span class="ordering-label">${getOptionLabel(options[optionIndex])}</span>
+                    <span class="ordering-controls">
+                        <button class="order-move-button" data-position="${position}" data-direction="-1" aria-label="Move up"${position === 0 ? ' disabled' : ''}>▲</button>
+                        <button class="order-move-button" data-position="${position}" data-direction="1" aria-label="Move down"${position === currentSelection.length - 1 ? ' disabled' : ''}>▼</button>
+                    </span>
+                </li>
+            `;
+        });
+
+        return html + `</ol>`;
+    }
+
     /**
      * Attaches event listeners to question elements
      */
     function attachQuestionListeners() {
         const question = currentQuiz.questions[currentQuestionIndex];
-        const correctAnswerIndex = question.correct;
-        
+
         // Answer option buttons
-        const answerOptions = quizContent.querySelectorAll('.option-button');
+        const answerOptions = quizContent.querySelectorAll('.option-button, .order-move-button');
         const nextButton = quizContent.querySelector('.next-button');
         const submitButton = quizContent.querySelector('.submit-button');
-        
+
         // If user has already answered this question correctly, enable next/submit button
         if (userAnswers[currentQuestionIndex] !== undefined) {
             if (nextButton) nextButton.disabled = false;
             if (submitButton) submitButton.disabled = false;
-            
+
             // Disable all buttons since the question is already answered
             answerOptions.forEach(opt => {
                 opt.disabled = true;
                 opt.style.pointerEvents = 'none';
             });
-            return; // Don't attach click listeners if already answered
         } else {
             // Disable next/submit buttons initially if no correct answer selected yet
             if (nextButton) nextButton.disabled = true;
             if (submitButton) submitButton.disabled = true;
-        }
-        
-        answerOptions.forEach(button => {
-            const answerIndex = parseInt(button.getAttribute('data-index'));
-            
-            // If this answer was previously marked as incorrect, disable it
-            if (button.classList.contains('incorrect')) {
-                button.disabled = true;
-                button.style.pointerEvents = 'none';
-                return;
+
+            const questionType = getQuestionType(question);
+            if (questionType === 'multi') {
+                attachMultiListeners(question);
+            } else if (questionType === 'ordering') {
+                attachOrderingListeners(question);
+            } else {
+                attachChoiceListeners(question);
             }
-            
-            button.addEventListener('click', (e) => {
-                const clickedButton = e.target;
-                const selectedIndex = parseInt(clickedButton.getAttribute('data-index'));
-                
-                // Check if this is the correct answer
-                if (selectedIndex === correctAnswerIndex) {
-                    // Correct answer!
-                    clickedButton.classList.add('correct');
-                    clickedButton.classList.remove('selected');
-                    
-                    // Store the correct answer
-                    userAnswers[currentQuestionIndex] = selectedIndex;
-                    
-                    // Enable next/submit button
-                    if (nextButton) {
-                        nextButton.disabled = false;
-                    }
-                    if (submitButton) {
-                        submitButton.disabled = false;
-                    }
-                    
-                    // Disable all other buttons to prevent further clicks
-                    answerOptions.forEach(opt => {
-                        if (opt !== clickedButton) {
-                            opt.disabled = true;
-                            opt.style.pointerEvents = 'none';
-                        }
-                    });
-                    
-                    if (window.Toast) {
-                        window.Toast.success('Correct! You can now proceed.', 'Well Done', 2000);
-                    }
-                } else {
-                    // Wrong answer
-                    clickedButton.classList.add('incorrect');
-                    clickedButton.classList.remove('selected');
-                    clickedButton.disabled = true;
-                    clickedButton.style.pointerEvents = 'none';
-                    
-                    if (window.Toast) {
-                        window.Toast.error('That\'s not correct. Please try again.', 'Incorrect Answer', 2000);
-                    }
-                }
-            });
-        });
+        }
 
         // Navigation buttons
         const prevButton = quizContent.querySelector('.prev-button');
@@ -437,6 +895,372 @@
         }
     }
 
+    /**
+     * Records an answer, lets the AR scene react to it and, when it is correct,
+     * stores it and unlocks the next/submit button
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @param {boolean} correct - Whether the answer was correct
+     */
+    function submitAnswer(answer, correct) {
+        recordAnswer(answer, correct);
+
+        if (!correct) {
+            return;
+        }
+
+        // Explain why it is right
+        const optionsContainer = quizContent.querySelector('.options-container');
+        if (optionsContainer) {
+            optionsContainer.insertAdjacentHTML('afterend', renderExplanation(currentQuiz.questions[currentQuestionIndex]));
+        }
+
+        // Enable next/submit button
+        const nextButton = quizContent.querySelector('.next-button');
+        const submitButton = quizContent.querySelector('.submit-button');
+        if (nextButton) {
+            nextButton.disabled = false;
+        }
+        if (submitButton) {
+            submitButton.disabled = false;
+        }
+
+        if (window.Toast) {
+            window.Toast.success('Correct! You can now proceed.', 'Well Done', 2000);
+        }
+    }
+
+    /**
+     * Records an answer, lets the AR scene react to it and, when it is correct, stores it
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @param {boolean} correct - Whether the answer was correct
+     */
+    function recordAnswer(answer, correct) {
+        // Every attempt counts towards the score, not just the eventually correct one
+        recordAttempt(answer, correct);
+
+        // Let the AR scene react to the answer (e.g. play the hazard's wrong-answer animation)
+        notifyAnswer(answer, correct);
+
+        if (correct) {
+            userAnswers[currentQuestionIndex] = answer;
+        }
+    }
+
+    /**
+     * Disables the given controls so an answered question can't be changed
+     * @param {NodeList|Array} controls - Buttons to disable
+     */
+    function lockControls(controls) {
+        controls.forEach(control => {
+            control.disabled = true;
+            control.style.pointerEvents = 'none';
+        });
+    }
+
+    /**
+     * 'single', 'true-false' and 'image-choice': each click is graded straight away
+     * @param {Object} question - Question from quiz-data.json
+     */
+    function attachChoiceListeners(question) {
+        const correctAnswerIndex = getCorrectAnswer(question);
+        const answerOptions = quizContent.querySelectorAll('.option-button');
+
+        answerOptions.forEach(button => {
+            // If this answer was previously marked as incorrect, disable it
+            if (button.classList.contains('incorrect')) {
+                button.disabled = true;
+                button.style.pointerEvents = 'none';
+                return;
+            }
+
+            button.addEventListener('click', () => {
+                const selectedIndex = parseInt(button.getAttribute('data-index'));
+                const correct = selectedIndex === correctAnswerIndex;
+
+                submitAnswer(selectedIndex, correct);
+
+                // Feedback for the picked option goes under it (earlier picks keep theirs)
+                button.insertAdjacentHTML('afterend', renderOptionFeedback(question, selectedIndex, correct));
+
+                if (correct) {
+                    button.classList.add('correct');
+                    button.classList.remove('selected');
+
+                    // Disable all other buttons to prevent further clicks
+                    lockControls(Array.from(answerOptions).filter(opt => opt !== button));
+                } else {
+                    // Wrong answer
+                    button.classList.add('incorrect');
+                    button.classList.remove('selected');
+                    button.disabled = true;
+                    button.style.pointerEvents = 'none';
+
+                    if (window.Toast) {
+                        window.Toast.error('That\'s not correct. Please try again.', 'Incorrect Answer', 2000);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * 'multi': options toggle on and off, and Check Answer grades the whole selection
+     * @param {Object} question - Question from quiz-data.json
+     */
+    function attachMultiListeners(question) {
+        const answerOptions = quizContent.querySelectorAll('.option-button');
+        const checkButton = quizContent.querySelector('.check-button');
+
+        answerOptions.forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.getAttribute('data-index'));
+                const position = currentSelection.indexOf(index);
+                if (position === -1) {
+                    currentSelection.push(index);
+                } else {
+                    currentSelection.splice(position, 1);
+                }
+                const selected = position === -1;
+                button.classList.toggle('selected', selected);
+                button.setAttribute('aria-pressed', String(selected));
+            });
+        });
+
+        if (checkButton) {
+            checkButton.addEventListener('click', () => {
+                if (currentSelection.length === 0) {
+                    if (window.Toast) {
+                        window.Toast.warning('Select at least one option before checking.', 'Select Answer', 3000);
+                    }
+                    return;
+                }
+
+                const answer = currentSelection.slice().sort((a, b) => a - b);
+                const correct = isAnswerCorrect(question, answer);
+                submitAnswer(answer, correct);
+
+                if (correct) {
+                    answerOptions.forEach(button => {
+                        button.classList.remove('selected');
+                        button.classList.toggle('correct', answer.includes(parseInt(button.getAttribute('data-index'))));
+                    });
+                    lockControls(answerOptions);
+                    checkButton.remove();
+                    showOptionFeedback(question, answer, true);
+                } else {
+                    // Explain the picks that don't belong (missed options are left for the trainee to find)
+                    showOptionFeedback(question, getWrongPicks(question, [{ selectedIndices: answer, correct: false }]), false);
+                    if (window.Toast) {
+                        window.Toast.error('That\'s not the right combination. Please try again.', 'Incorrect Answer', 2000);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * 'ordering': items move up and down, and Check Answer grades the order
+     * @param {Object} question - Question from quiz-data.json
+     */
+    function attachOrderingListeners(question) {
+        const checkButton = quizContent.querySelector('.check-button');
+
+        attachOrderingMoveListeners(question);
+
+        if (checkButton) {
+            checkButton.addEventListener('click', () => {
+                const answer = currentSelection.slice();
+                const correct = isAnswerCorrect(question, answer);
+                submitAnswer(answer, correct);
+
+                if (correct) {
+                    quizContent.querySelectorAll('.ordering-item').forEach(item => item.classList.add('correct'));
+                    lockControls(quizContent.querySelectorAll('.order-move-button'));
+                    checkButton.remove();
+                } else if (window.Toast) {
+                    window.Toast.error('That\'s not the right order. Please try again.', 'Incorrect Answer', 2000);
+                }
+            });
+        }
+    }
+
+    /**
+     * Move buttons swap an item with its neighbour and redraw the list
+     * @param {Object} question - Question from quiz-data.json
+     */
+    function attachOrderingMoveListeners(question) {
+        quizContent.querySelectorAll('.order-move-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const position = parseInt(button.getAttribute('data-position'));
+                const target = position + parseInt(button.getAttribute('data-direction'));
+                if (target < 0 || target >= currentSelection.length) {
+                    return;
+                }
+
+                [currentSelection[position], currentSelection[target]] = [currentSelection[target], currentSelection[position]];
+
+                const wrapper = document.createElement('div');
+                wrapper.innerHTML = renderOrderingList(question, false);
+                quizContent.querySelector('.ordering-list').replaceWith(wrapper.firstElementChild);
+                attachOrderingMoveListeners(question);
+            });
+        });
+    }
+
+    // ============================================================================
+    // SCORING
+    // ============================================================================
+    
+    /**
+     * Describes an answer as event/attempt fields: `selectedIndex` for single-answer
+     * types, `selectedIndices` for 'multi' and 'ordering'
+     * @param {number|number[]} answer - Option index or indices
+     * @returns {Object}
+     */
+    function getSelectionFields(answer) {
+        return Array.isArray(answer) ? { selectedIndices: answer.slice() } : { selectedIndex: answer };
+    }
+    
+    /**
+     * Records an answer attempt for the current question
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @param {boolean} correct - Whether the answer was correct
+     */
+    function recordAttempt(answer, correct) {
+        if (!questionAttempts[currentQuestionIndex]) {
+            questionAttempts[currentQuestionIndex] = [];
+        }
+        questionAttempts[currentQuestionIndex].push(Object.assign(getSelectionFields(answer), {
+            correct: correct,
+            timestamp: Date.now()
+        }));
+    }
+    
+    /**
+     * Scores the quiz on first-attempt correctness: a question only counts if the
+     * first option picked was the correct one. The quiz is passed when the percentage
+     * reaches `settings.passMark` (any finished attempt passes a quiz without one).
+     * @returns {Object} { score, total, percent, passMark, passed }
+     */
+    function calculateScore() {
+        const total = currentQuiz.questions.length;
+        let score = 0;
+        for (let i = 0; i < total; i++) {
+            const attempts = questionAttempts[i];
+            if (attempts && attempts.length > 0 && attempts[0].correct) {
+                score++;
+            }
+        }
+        const percent = total > 0 ? Math.round((score / total) * 100) : 0;
+        const settings = quizData[currentModelType].settings || {};
+        const passMark = typeof settings.passMark === 'number' ? settings.passMark : null;
+        return {
+            score: score,
+            total: total,
+            percent: percent,
+            passMark: passMark,
+            passed: passMark === null || percent >= passMark
+        };
+    }
+
+    // ============================================================================
+    // COMPLETION STATUS
+    // ============================================================================
+    
+    /**
+     * Reads the saved completion status of every scenario
+     * @returns {Object} Map of scenario id to { quizKey, status, bestPercent, lastPercent, attempts, completedAt }
+     */
+    function getCompletionStatus() {
+        try {
+            const stored = localStorage.getItem(COMPLETION_STORAGE_KEY);
+            return stored ? JSON.parse(stored) || {} : {};
+        } catch (e) {
+            console.warn('Could not read quiz completion status:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Saves a finished attempt against the scenario the quiz was opened for.
+     * A passed scenario stays passed; later attempts only update the counts.
+     * @param {string} scenarioId - Scenario id from scenarios.json
+     * @param {Object} result - Score from calculateScore()
+     */
+    function saveCompletion(scenarioId, result) {
+        const completion = getCompletionStatus();
+        const previous = completion[scenarioId] || {};
+        completion[scenarioId] = {
+            quizKey: currentModelType,
+            status: previous.status === 'passed' || result.passed ? 'passed' : 'failed',
+            bestPercent: Math.max(previous.bestPercent || 0, result.percent),
+            lastPercent: result.percent,
+            attempts: (previous.attempts || 0) + 1,
+            completedAt: Date.now()
+        };
+        try {
+            localStorage.setItem(COMPLETION_STORAGE_KEY, JSON.stringify(completion));
+        } catch (e) {
+            console.warn('Could not save quiz completion status:', e);
+        }
+    }
+
+    /**
+     * Dispatches a `quiz:answer` event on window for every answer attempt
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @param {boolean} correct - Whether the answer was correct
+     */
+    function notifyAnswer(answer, correct) {
+        window.dispatchEvent(new CustomEvent('quiz:answer', {
+            detail: Object.assign({
+                modelType: currentModelType,
+                questionIndex: currentQuestionIndex
+            }, getSelectionFields(answer), {
+                correct: correct,
+                attempt: (questionAttempts[currentQuestionIndex] || []).length
+            })
+        }));
+    }
+
+    /**
+     * Dispatches a `quiz:complete` event on window when the recap is reached
+     * @param {Object} result - Score from calculateScore()
+     */
+    function notifyComplete(result) {
+        window.dispatchEvent(new CustomEvent('quiz:complete', {
+            detail: {
+                modelType: currentModelType,
+                questionCount: currentQuiz.questions.length,
+                scenarioId: currentOptions.scenarioId || null,
+                score: result.score,
+                percent: result.percent,
+                passMark: result.passMark,
+                passed: result.passed,
+                attempts: questionAttempts.map(attempts => (attempts || []).slice()),
+                // Indices in attempts refer to the shuffled options; seed and questions map them back
+                seed: currentQuiz.seed,
+                questions: currentQuiz.questions.map(question => ({
+                    sourceIndex: question.sourceIndex,
+                    optionOrder: question.optionOrder || null
+                }))
+            }
+        }));
+    }
+
+    /**
+     * Scores the finished attempt, saves the scenario's completion status and
+     * dispatches `quiz:complete`
+     * @returns {Object} Score from calculateScore()
+     */
+    function finishAttempt() {
+        const result = calculateScore();
+        if (currentOptions.scenarioId) {
+            saveCompletion(currentOptions.scenarioId, result);
+        }
+        notifyComplete(result);
+        return result;
+    }
+
     /**
      * Shows quiz recap
      */
@@ -445,12 +1269,24 @@
             return;
         }
 
+        const result = finishAttempt();
+
+        const passText = result.passMark === null
+            ? 'Quiz complete'
+            : `${result.passed ? 'Passed' : 'Not passed'} - the pass mark is ${result.passMark}%`;
+
         // Build recap HTML
         let html = `
             <div class="quiz-header">
                 <h2>${currentQuiz.title} - Recap</h2>
             </div>
             <div class="quiz-recap">
+                <div class="quiz-score ${result.passed ? 'passed' : 'failed'}">
+                    <div class="quiz-result">${passText}</div>
+                    <div class="quiz-score-value">${result.score} / ${result.total}</div>
+                    <div class="quiz-score-label">correct on the first attempt (${result.percent}%)</div>
+                    <div class="quiz-seed">Attempt seed: ${currentQuiz.seed}</div>
+                </div>
                 <div class="recap-intro">
                     <p>Here's a summary of what you learned:</p>
                 </div>
@@ -460,14 +1296,31 @@
         // Show each question and answer
         currentQuiz.questions.forEach((question, index) => {
             const userAnswer = userAnswers[index];
-            const userAnswerText = question.options[userAnswer];
+            const userAnswerText = describeAnswer(question, userAnswer);
+            const attemptCount = (questionAttempts[index] || []).length;
+            const firstAttemptCorrect = attemptCount > 0 && questionAttempts[index][0].correct;
+            const attemptText = firstAttemptCorrect
+                ? 'Correct first time'
+                : `Answered after ${attemptCount} attempt${attemptCount === 1 ? '' : 's'}`;
+
+            // Why each wrong pick was wrong, then why the answer is right
+            const options = getQuestionOptions(question);
+            const wrongFeedback = getWrongPicks(question, questionAttempts[index])
+                .filter(optionIndex => getOptionFeedback(question, optionIndex))
+                .map(optionIndex => `
+                    <li><strong>${getOptionLabel(options[optionIndex])}</strong>: ${getOptionFeedback(question, optionIndex)}</li>
+                `)
+                .join('');
 
             html += `
-                <div class="recap-item">
+                <div class="recap-item ${firstAttemptCorrect ? 'first-attempt' : 'retried'}">
                     <div class="recap-number">Question ${index + 1}</div>
+                    <div class="recap-attempts">${attemptText}</div>
                     <div class="recap-content">
                         <div class="recap-question">${question.question}</div>
                         <div class="recap-answer">${userAnswerText}</div>
+                        ${wrongFeedback ? `<ul class="recap-feedback">${wrongFeedback}</ul>` : ''}
+                        ${renderExplanation(question)}
                     </div>
                 </div>
             `;
@@ -476,7 +1329,7 @@
         html += `
                 </div>
                 <div class="quiz-navigation">
-                    <button class="nav-button primary restart-button">Restart Quiz</button>
+                    <button class="nav-button primary retake-button">Retake Quiz</button>
                 </div>
             </div>
         `;
@@ -489,17 +1342,14 @@
             void quizScrollWrapper.offsetHeight;
         }
 
-        // Attach restart button listener
-        const restartButton = quizContent.querySelector('.restart-button');
-        if (restartButton) {
-            restartButton.addEventListener('click', () => {
-                currentQuestionIndex = 0;
-                userAnswers = [];
-                renderQuestion();
-                // Reset scroll position when restarting
-                if (quizScrollWrapper) {
-                    quizScrollWrapper.scrollTop = 0;
-                }
+        // Attach retake button listener
+        const retakeButton = quizContent.querySelector('.retake-button');
+        if (retakeButton) {
+            retakeButton.addEventListener('click', () => {
+                // A retake is a new attempt, with new questions and order (so no seed)
+                const options = Object.assign({}, currentOptions);
+                delete options.seed;
+                showQuiz(currentModelType, options);
             });
         }
     }
@@ -526,6 +1376,28 @@
             logoContainer.classList.add('hidden');
         }
 
+        // The AR session was suspended for the quiz - resume it with the hazards still placed
+        if (window.WebXRAR && typeof window.WebXRAR.isSuspended === 'function' && window.WebXRAR.isSuspended()) {
+            endAttempt();
+
+            // Restore XR overlay (was hidden when quiz was shown)
+            const xrOverlay = document.getElementById('xr-overlay');
+            if (xrOverlay) {
+                xrOverlay.style.display = '';
+            }
+
+            try {
+                await window.WebXRAR.resume();
+            } catch (error) {
+                // WebXRAR.resume() has already returned to the start screen
+                console.error('Error resuming AR:', error);
+                if (window.Toast) {
+                    window.Toast.error('Failed to resume AR. Please click "Start AR" to start again.', 'AR Resume Failed', 5000);
+                }
+            }
+            return;
+        }
+
         // CRITICAL: Clean up AR resources and clear canvas BEFORE showing AR container
         // This prevents the old start screen and spawned models from being visible
         const arContainer = document.getElementById('ar-container');
@@ -582,8 +1454,11 @@
 
         // Reset quiz state
         currentQuiz = null;
+        currentModelType = null;
+        currentOptions = {};
         currentQuestionIndex = 0;
         userAnswers = [];
+        questionAttempts = [];
 
         // Show start button and trigger AR initialization
         const startButton = document.getElementById('start-button');
@@ -619,12 +1494,104 @@
         }
     }
 
+    // ============================================================================
+    // ATTEMPT API
+    // ============================================================================
+    // Lets a quiz view other than #quiz-view (the 3D panels in xr-quiz-panel.js) run an
+    // attempt: startAttempt(), then getCurrentQuestion() / answerQuestion() / nextQuestion()
+    // until the last question is answered, then finishAttempt() and endAttempt(). Attempts,
+    // scoring, completion status and quiz events are the same as in the quiz view.
+
+    /**
+     * Describes the current question for display
+     * @returns {Object|null} { title, index, total, type, text, options: [{ label, image }],
+     *   answer (the correct answer once found, else null), wrongPicks, explanation }
+     */
+    function getCurrentQuestion() {
+        if (!currentQuiz) {
+            return null;
+        }
+        
+        const question = currentQuiz.questions[currentQuestionIndex];
+        const answer = userAnswers[currentQuestionIndex];
+        return {
+            title: currentQuiz.title,
+            index: currentQuestionIndex,
+            total: currentQuiz.questions.length,
+            type: getQuestionType(question),
+            text: question.question,
+            options: getQuestionOptions(question).map(option => ({
+                label: getOptionLabel(option),
+                image: typeof option === 'object' ? option.image : null
+            })),
+            answer: answer !== undefined ? answer : null,
+            wrongPicks: getWrongPicks(question, questionAttempts[currentQuestionIndex]),
+            explanation: answer !== undefined ? question.explanation || null : null
+        };
+    }
+
+    /**
+     * Grades and records an answer to the current question
+     * @param {number|number[]} answer - Option index, or option indices for 'multi'/'ordering'
+     * @returns {Object} { correct, feedback } - feedback text for the picked options that explain the result
+     */
+    function answerQuestion(answer) {
+        const question = currentQuiz.questions[currentQuestionIndex];
+        const correct = isAnswerCorrect(question, answer);
+        recordAnswer(answer, correct);
+        
+        // Same feedback as the quiz view: the picked options, or the wrong picks of a 'multi' answer
+        let indices = [];
+        if (!Array.isArray(answer)) {
+            indices = [answer];
+        } else if (getQuestionType(question) === 'multi') {
+            indices = correct ? answer : getWrongPicks(question, [{ selectedIndices: answer, correct: false }]);
+        }
+        return {
+            correct: correct,
+            feedback: indices.map(index => getOptionFeedback(question, index)).filter(Boolean)
+        };
+    }
+
+    /**
+     * Moves on once the current question has been answered correctly
+     * @returns {boolean} False on the last question (call finishAttempt) or if it is unanswered
+     */
+    function nextQuestion() {
+        if (userAnswers[currentQuestionIndex] === undefined || currentQuestionIndex >= currentQuiz.questions.length - 1) {
+            return false;
+        }
+        currentQuestionIndex++;
+        return true;
+    }
+
+    /**
+     * Forgets the current attempt
+     */
+    function endAttempt() {
+        currentQuiz = null;
+        currentModelType = null;
+        currentOptions = {};
+        currentQuestionIndex = 0;
+        userAnswers = [];
+        questionAttempts = [];
+    }
+
     // ============================================================================
     // EXPORT
     // ============================================================================
     
     window.QuizSystem = {
         showQuiz: showQuiz,
+        closeQuiz: closeQuiz,
+        startAttempt: startAttempt,
+        getCurrentQuestion: getCurrentQuestion,
+        answerQuestion: answerQuestion,
+        nextQuestion: nextQuestion,
+        finishAttempt: finishAttempt,
+        endAttempt: endAttempt,
+        findUnusableQuizzes: findUnusableQuizzes,
+        getCompletionStatus: getCompletionStatus,
         backToAR: backToAR
     };
 
@@ -0,0 +1,564 @@
+// Scenario Manager for AR Experience
+// Loads the hazard scenario manifest (scenarios.json) and builds placeable models from it
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // MANIFEST DATA
+    // ============================================================================
+
+    const MANIFEST_URL = 'scenarios.json';
+
+    let manifest = null;
+    let manifestPromise = null;
+
+    // ============================================================================
+    // SELECTION STATE
+    // ============================================================================
+
+    // Scenario ids not yet drawn in the current round, per surface type.
+    // Persisted so repeat trainees on the same device keep cycling through the pool.
+    const BAG_STORAGE_KEY = 'scenarioBags';
+
+    let scenarioBags = loadBags();
+    const bagsBeforePick = {}; // Surface type -> its bag before the latest pick (see returnScenario)
+
+    // ============================================================================
+    // MANIFEST LOADING
+    // ============================================================================
+
+    /**
+     * Loads the scenario manifest (cached after the first successful load)
+     * @returns {Promise<Object>} The manifest object with a `scenarios` array
+     */
+    function loadManifest() {
+        if (manifest) {
+            return Promise.resolve(manifest);
+        }
+
+        if (!manifestPromise) {
+            manifestPromise = (async () => {
+                try {
+                    const response = await fetch(MANIFEST_URL);
+                    if (!response.ok) {
+                        throw new Error(`Failed to load scenario manifest: ${response.status} ${response.statusText}`);
+                    }
+                    const data = await response.json();
+                    if (!data || !Array.isArray(data.scenarios)) {
+                        throw new Error('Scenario manifest is missing a "scenarios" array');
+                    }
+                    data.scenarios = await withoutUnusableQuizzes(data.scenarios);
+                    manifest = data;
+                    console.log(`Scenario manifest loaded (${manifest.scenarios.length} scenarios)`);
+                    return manifest;
+                } catch (error) {
+                    console.error('Error loading scenario manifest:', error);
+                    if (window.Toast) {
+                        window.Toast.error('Failed to load hazard scenarios. Please refresh the page.', 'Scenario Error', 5000);
+                    }
+                    throw error;
+                } finally {
+                    // Allow a retry after a failed load
+                    manifestPromise = null;
+                }
+            })();
+        }
+
+        return manifestPromise;
+    }
+
+    /**
+     * Drops scenarios whose quiz is missing from quiz-data.json or invalid, so they are
+     * never placed or listed
+     * @param {Array<Object>} scenarios - Scenarios from the manifest
+     * @returns {Promise<Array<Object>>} The scenarios that can be started
+     */
+    async function withoutUnusableQuizzes(scenarios) {
+        if (!window.QuizSystem || !window.QuizSystem.findUnusableQuizzes) {
+            return scenarios;
+        }
+
+        const unusable = await window.QuizSystem.findUnusableQuizzes(scenarios.map(scenario => scenario.quizKey));
+        return scenarios.filter((scenario, index) => {
+            if (!unusable.has(scenario.quizKey)) {
+                return true;
+            }
+            const reason = scenario.quizKey
+                ? `its quiz "${scenario.quizKey}" is missing from quiz-data.json or invalid`
+                : 'it has no quizKey';
+            console.error(`${MANIFEST_URL} scenarios[${index}]: scenario "${scenario.id}" is disabled - ${reason}`);
+            return false;
+        });
+    }
+
+    // ============================================================================
+    // SCENARIO LOOKUP
+    // ============================================================================
+
+    /**
+     * Returns every scenario that can be placed on the given surface type
+     * @param {string} surfaceType - 'wall' or 'floor'
+     * @returns {Array<Object>} Matching scenarios (empty if the manifest is not loaded)
+     */
+    function getScenariosForSurface(surfaceType) {
+        if (!manifest) {
+            return [];
+        }
+        return manifest.scenarios.filter(scenario =>
+            Array.isArray(scenario.surfaces) && scenario.surfaces.includes(surfaceType)
+        );
+    }
+
+    /**
+     * Looks up a scenario by its id
+     * @param {string} id - Scenario id from scenarios.json
+     * @returns {Object|null} The scenario, or null if unknown
+     */
+    function getScenario(id) {
+        if (!manifest) {
+            return null;
+        }
+        return manifest.scenarios.find(scenario => scenario.id === id) || null;
+    }
+
+    /**
+     * Returns the image targets (printed posters) that spawn a scenario in image tracking mode
+     * @returns {Array<Object>} Targets with id, image, widthInMeters and scenarioId (empty if none)
+     */
+    function getImageTargets() {
+        if (!manifest || !Array.isArray(manifest.imageTargets)) {
+            return [];
+        }
+        return manifest.imageTargets.filter(target => {
+            if (!target.image || !(target.widthInMeters > 0) || !getScenario(target.scenarioId)) {
+                console.warn('Ignoring invalid image target:', target.id || target);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    let imageTargetBitmaps = null; // Decoded posters ({ target, bitmap }), once loaded
+    let imageTargetBitmapsPromise = null;
+
+    /**
+     * Fetches and decodes the image target posters (once per page load). Started with
+     * the tutorial, because the XR session needs them when it is requested and there
+     * is no time to download them after the tap that starts AR.
+     * @returns {Promise<Array<Object>>} { target, bitmap } for every poster that loaded, in getImageTargets() order
+     */
+    function loadImageTargetBitmaps() {
+        if (imageTargetBitmapsPromise) {
+            return imageTargetBitmapsPromise;
+        }
+        if (typeof createImageBitmap !== 'function') {
+            imageTargetBitmaps = [];
+            return Promise.resolve(imageTargetBitmaps);
+        }
+
+        imageTargetBitmapsPromise = loadManifest()
+            .then(async () => {
+                const loaded = [];
+                for (const target of getImageTargets()) {
+                    try {
+                        const response = await fetch(target.image);
+                        if (!response.ok) {
+                            throw new Error(`${response.status} ${response.statusText}`);
+                        }
+                        loaded.push({ target: target, bitmap: await createImageBitmap(await response.blob()) });
+                    } catch (error) {
+                        console.warn(`Could not load image target ${target.id} (${target.image}):`, error);
+                    }
+                }
+                console.log(`Image targets loaded (${loaded.length})`);
+                imageTargetBitmaps = loaded;
+                return loaded;
+            })
+            .catch(error => {
+                console.warn('Image targets could not be loaded:', error);
+                imageTargetBitmapsPromise = null; // Retried by the next call
+                return [];
+            });
+        return imageTargetBitmapsPromise;
+    }
+
+    /**
+     * Returns the decoded posters without waiting for them
+     * @returns {Array<Object>|null} { target, bitmap } entries, or null if loadImageTargetBitmaps() has not finished
+     */
+    function getImageTargetBitmaps() {
+        return imageTargetBitmaps;
+    }
+
+    // ============================================================================
+    // RANDOMIZED SELECTION
+    // ============================================================================
+
+    /**
+     * Reads the persisted selection bags
+     * @returns {Object} Map of surface type to { remaining: string[], last: string|null }
+     */
+    function loadBags() {
+        try {
+            const stored = localStorage.getItem(BAG_STORAGE_KEY);
+            return stored ? JSON.parse(stored) || {} : {};
+        } catch (e) {
+            console.warn('Could not read scenario selection state:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Persists the selection bags (ignored if storage is unavailable)
+     */
+    function saveBags() {
+        try {
+            localStorage.setItem(BAG_STORAGE_KEY, JSON.stringify(scenarioBags));
+        } catch (e) {
+            console.warn('Could not save scenario selection state:', e);
+        }
+    }
+
+    /**
+     * Returns a scenario's selection weight (defaults to 1, never negative)
+     * @param {Object} scenario - Scenario from scenarios.json
+     * @returns {number}
+     */
+    function getWeight(scenario) {
+        return typeof scenario.weight === 'number' ? Math.max(scenario.weight, 0) : 1;
+    }
+
+    /**
+     * Picks one scenario at random, proportionally to its weight
+     * @param {Array<Object>} scenarios - Candidates (must not be empty)
+     * @returns {Object} The chosen scenario
+     */
+    function weightedRandom(scenarios) {
+        const total = scenarios.reduce((sum, scenario) => sum + getWeight(scenario), 0);
+        if (total <= 0) {
+            return scenarios[Math.floor(Math.random() * scenarios.length)];
+        }
+
+        let roll = Math.random() * total;
+        for (const scenario of scenarios) {
+            roll -= getWeight(scenario);
+            if (roll < 0) {
+                return scenario;
+            }
+        }
+        return scenarios[scenarios.length - 1];
+    }
+
+    /**
+     * Chooses the scenario to spawn on a surface.
+     * Draws from the surface's pool by weight without repeating a scenario until
+     * every scenario in the pool has been shown, then starts a new round.
+     * @param {string} surfaceType - 'wall' or 'floor'
+     * @returns {Promise<Object|null>} The chosen scenario, or null if none matches
+     */
+    async function pickScenario(surfaceType) {
+        await loadManifest();
+        const candidates = getScenariosForSurface(surfaceType);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const bag = scenarioBags[surfaceType] || {};
+        const bagIds = Array.isArray(bag.remaining) ? bag.remaining : [];
+
+        // Drop ids that are no longer in the manifest
+        let remaining = candidates.filter(scenario => bagIds.includes(scenario.id));
+        let pool = remaining;
+        if (remaining.length === 0) {
+            // Round exhausted - start a new one, avoiding an immediate repeat across rounds
+            remaining = candidates;
+            pool = candidates.length > 1
+                ? candidates.filter(scenario => scenario.id !== bag.last)
+                : candidates;
+        }
+
+        const chosen = weightedRandom(pool);
+
+        bagsBeforePick[surfaceType] = scenarioBags[surfaceType];
+        scenarioBags[surfaceType] = {
+            remaining: remaining.filter(scenario => scenario !== chosen).map(scenario => scenario.id),
+            last: chosen.id
+        };
+        saveBags();
+
+        console.log(`Scenario picked for ${surfaceType}: ${chosen.id} (${scenarioBags[surfaceType].remaining.length} left this round)`);
+        return chosen;
+    }
+
+    /**
+     * Puts a picked scenario back in its surface's pool because it was never shown
+     * (e.g. its model did not fit the surface), so the round still includes it
+     * @param {string} surfaceType - Surface type it was picked for
+     * @param {string} scenarioId - Id of the scenario returned by pickScenario()
+     */
+    function returnScenario(surfaceType, scenarioId) {
+        const bag = scenarioBags[surfaceType];
+        if (!bag) {
+            return;
+        }
+
+        if (bag.last === scenarioId && surfaceType in bagsBeforePick) {
+            // Still the latest pick - undo it exactly (including a round it started)
+            if (bagsBeforePick[surfaceType]) {
+                scenarioBags[surfaceType] = bagsBeforePick[surfaceType];
+            } else {
+                delete scenarioBags[surfaceType];
+            }
+            delete bagsBeforePick[surfaceType];
+        } else if (Array.isArray(bag.remaining) && !bag.remaining.includes(scenarioId)) {
+            // Picked before another draw - it goes back into the current round
+            bag.remaining.push(scenarioId);
+        } else {
+            return;
+        }
+        saveBags();
+
+        console.log(`Scenario returned to the ${surfaceType} pool: ${scenarioId}`);
+    }
+
+    // ============================================================================
+    // MODEL BUILDING
+    // ============================================================================
+
+    /**
+     * Converts a manifest [x, y, z] array to a Vector3 (missing entries are 0)
+     * @param {Array<number>} value - Offset array from the manifest
+     * @returns {THREE.Vector3}
+     */
+    function toVector3(value) {
+        const v = Array.isArray(value) ? value : [];
+        return new THREE.Vector3(v[0] || 0, v[1] || 0, v[2] || 0);
+    }
+
+    /**
+     * Applies the manifest's material overrides to a single material
+     * @param {THREE.Material} mat - Material to modify
+     * @param {Object} overrides - `materialOverrides` block from the manifest
+     */
+    function applyMaterialOverrides(mat, overrides) {
+        if (!mat) return; // Safety check
+
+        mat.visible = true;
+
+        // Transparency: Enable FIRST before setting opacity
+        if (overrides.transparent !== undefined) {
+            mat.transparent = overrides.transparent;
+        }
+        if (overrides.opacity !== undefined) {
+            mat.opacity = overrides.opacity;
+        }
+
+        // Colors
+        if (overrides.color !== undefined && mat.color) {
+            mat.color = new THREE.Color(overrides.color);
+        }
+        if (overrides.emissive !== undefined) {
+            mat.emissive = new THREE.Color(overrides.emissive);
+        }
+        if (overrides.emissiveIntensity !== undefined) {
+            mat.emissiveIntensity = overrides.emissiveIntensity;
+        }
+
+        // PBR properties only exist on standard/physical materials
+        if (mat.type === 'MeshStandardMaterial' || mat.type === 'MeshPhysicalMaterial') {
+            if (overrides.roughness !== undefined) {
+                mat.roughness = overrides.roughness;
+            }
+            if (overrides.metalness !== undefined) {
+                mat.metalness = overrides.metalness;
+            }
+        }
+
+        // Force material update
+        mat.needsUpdate = true;
+    }
+
+    /**
+     * Builds a placeable model from a loaded GLTF using the scenario's scale,
+     * alignment, offset and material overrides
+     * @param {Object} scenario - Scenario from scenarios.json
+     * @param {Object} gltf - Loaded GLTF object (its scene is cloned, not modified)
+     * @returns {THREE.Object3D} The model, positioned relative to the placement point
+     */
+    function createModel(scenario, gltf) {
+        if (!gltf || !gltf.scene) {
+            throw new Error('gltf.scene is null or undefined');
+        }
+
+        // Clone the scene so each spawn gets a fresh copy with reset rotation
+        // (SkeletonUtils keeps skinned meshes bound to their own cloned bones)
+        const model = (THREE.SkeletonUtils && THREE.SkeletonUtils.clone)
+            ? THREE.SkeletonUtils.clone(gltf.scene)
+            : gltf.scene.clone();
+
+        // Calculate bounding box to understand model size
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+
+        // Reset position and scale for fresh spawn
+        // Don't reset rotation - preserve model's original rotation from GLB file
+        model.position.set(0, 0, 0);
+        model.scale.set(1, 1, 1);
+
+        // Auto-scale so the largest dimension matches targetSize, then apply the scale multiplier
+        const maxDimension = Math.max(size.x, size.y, size.z);
+        const multiplier = typeof scenario.scale === 'number' ? scenario.scale : 1;
+        if (maxDimension > 0 && scenario.targetSize > 0) {
+            const scaleFactor = (scenario.targetSize / maxDimension) * multiplier;
+            model.scale.set(scaleFactor, scaleFactor, scaleFactor);
+        } else {
+            model.scale.set(multiplier, multiplier, multiplier);
+        }
+
+        // Center the model on the placement point
+        model.position.sub(center.multiplyScalar(model.scale.x));
+
+        const offset = toVector3(scenario.offset);
+        if (scenario.align === 'base') {
+            // Lift the model by half its scaled height so it sits on the surface
+            const scaledSize = size.clone().multiplyScalar(model.scale.x);
+            model.position.x += offset.x;
+            model.position.y = scaledSize.y / 2 + offset.y;
+            model.position.z += offset.z;
+        } else {
+            model.position.add(offset);
+        }
+
+        // Make sure model is visible and apply material overrides
+        const overrides = scenario.materialOverrides;
+        model.visible = true;
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.visible = true;
+
+                // Geometry and textures are shared with the cached GLTF; materials are cloned
+                // so overrides and disposal only affect this instance
+                child.userData.sharedResources = true;
+                if (Array.isArray(child.material)) {
+                    child.material = child.material.map(mat => mat.clone());
+                } else if (child.material) {
+                    child.material = child.material.clone();
+                }
+
+                if (overrides && child.material) {
+                    // Handle both single material and array of materials
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(mat => applyMaterialOverrides(mat, overrides));
+                    } else {
+                        applyMaterialOverrides(child.material, overrides);
+                    }
+                }
+            }
+        });
+
+        model.userData.scenarioId = scenario.id;
+        return model;
+    }
+
+    /**
+     * Disposes the GPU resources (geometry, materials, textures) of a model and its
+     * descendants. Meshes from createModel() are flagged with userData.sharedResources -
+     * their geometry and textures belong to the ModelCache and are left alone (materials
+     * are per-instance clones and are still disposed).
+     * @param {THREE.Object3D} object - Root object to dispose
+     */
+    function disposeModel(object) {
+        object.traverse((obj) => {
+            const shared = !!obj.userData.sharedResources;
+
+            if (obj.geometry && !shared) {
+                obj.geometry.dispose();
+            }
+
+            if (obj.material) {
+                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                materials.forEach(mat => {
+                    if (!mat) return;
+                    if (!shared) {
+                        if (mat.map) mat.map.dispose();
+                        if (mat.normalMap) mat.normalMap.dispose();
+                        if (mat.emissiveMap) mat.emissiveMap.dispose();
+                    }
+                    mat.dispose();
+                });
+            }
+        });
+    }
+
+    /**
+     * Resolves the clips configured for an animation trigger in the manifest
+     * @param {Object} scenario - Scenario from scenarios.json
+     * @param {string} trigger - 'loop', 'onGaze' or 'onWrongAnswer'
+     * @param {Array<THREE.AnimationClip>} clips - Clips embedded in the model's GLB
+     * @returns {Array<THREE.AnimationClip>} Clips to play ("*" selects every clip)
+     */
+    function getAnimationClips(scenario, trigger, clips) {
+        const config = scenario.animations && scenario.animations[trigger];
+        if (!config || !Array.isArray(clips) || clips.length === 0) {
+            return [];
+        }
+        if (config === '*') {
+            return clips.slice();
+        }
+
+        const names = Array.isArray(config) ? config : [config];
+        return names.map(name => {
+            const clip = THREE.AnimationClip.findByName(clips, name);
+            if (!clip) {
+                console.warn(`Scenario ${scenario.id}: animation clip "${name}" not found in ${scenario.model}`);
+            }
+            return clip;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Creates a simple box stand-in for a scenario whose model could not be loaded
+     * @param {Object} scenario - Scenario from scenarios.json
+     * @returns {THREE.Mesh} The placeholder mesh
+     */
+    function createPlaceholder(scenario) {
+        const spec = scenario.placeholder || {};
+        const size = Array.isArray(spec.size) ? spec.size : [0.1, 0.1, 0.1];
+
+        const geometry = new THREE.BoxGeometry(size[0], size[1], size[2]);
+        const material = new THREE.MeshStandardMaterial({
+            color: new THREE.Color(spec.color || '#ffffff'),
+            metalness: 0.3,
+            roughness: 0.6
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(toVector3(spec.offset));
+        mesh.visible = true;
+        mesh.userData.scenarioId = scenario.id;
+        mesh.userData.isPlaceholder = true;
+        return mesh;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.ScenarioManager = {
+        loadManifest: loadManifest,
+        getScenariosForSurface: getScenariosForSurface,
+        getScenario: getScenario,
+        getImageTargets: getImageTargets,
+        loadImageTargetBitmaps: loadImageTargetBitmaps,
+        getImageTargetBitmaps: getImageTargetBitmaps,
+        pickScenario: pickScenario,
+        returnScenario: returnScenario,
+        createModel: createModel,
+        disposeModel: disposeModel,
+        getAnimationClips: getAnimationClips,
+        createPlaceholder: createPlaceholder
+    };
+
+    console.log('ScenarioManager initialized');
+})();
@@ -0,0 +1,562 @@
+// XR Quiz Panel for AR Experience
+// Shows a hazard's quiz on a 3D panel beside the hazard, for AR sessions without a DOM
+// overlay (or with ?quiz=panel), so the quiz is answered without leaving the scene.
+// Options and buttons are tapped; main-webxr.js passes each tap's ray to handleSelect().
+// The attempt itself (grading, scoring, completion status, quiz events) is run by QuizSystem.
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    const PANEL_WIDTH = 0.6; // Meters; the height follows the content
+    const CANVAS_WIDTH = 1024; // Pixels
+    const PADDING = 48;
+    const CONTENT_WIDTH = CANVAS_WIDTH - PADDING * 2;
+    const BUTTON_PADDING = 22;
+    const BLOCK_GAP = 18;
+    const IMAGE_SIZE = 140; // Image-choice thumbnails (pixels)
+    const SIDE_OFFSET = 0.45; // Meters to the viewer's right of the hazard, so the hazard stays in view
+    const MAX_TOWARD_VIEWER = 0.3; // Meters the panel is brought towards the viewer
+    const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+    const BUTTON_STYLES = {
+        option: { fill: '#f3f4f6', stroke: '#d1d5db', text: '#333333' },
+        selected: { fill: '#e0e7ff', stroke: '#667eea', text: '#312e81' },
+        correct: { fill: '#d1fae5', stroke: '#10b981', text: '#065f46' },
+        incorrect: { fill: '#fee2e2', stroke: '#ef4444', text: '#991b1b' },
+        primary: { fill: '#667eea', stroke: '#667eea', text: '#ffffff' },
+        disabled: { fill: '#e5e7eb', stroke: '#e5e7eb', text: '#9ca3af' }
+    };
+
+    // ============================================================================
+    // STATE
+    // ============================================================================
+
+    let panel = null; // { mesh, canvas, context, texture, regions }
+    let quizOptions = null; // { quizKey, scenarioId } of the open quiz, for a retake
+    let closeCallback = null;
+    let selection = []; // Unchecked 'multi' picks, or the 'ordering' order tapped so far
+    let lastAnswer = null; // { correct, feedback } of the latest answer to the current question
+    let finalResult = null; // Score once the attempt is finished
+    let raycaster = null;
+    const images = new Map(); // Image-choice URL -> HTMLImageElement
+
+    // ============================================================================
+    // LAYOUT
+    // ============================================================================
+    // Each render lays the content out top to bottom as draw operations, sizes the
+    // canvas to fit, then draws. Buttons are recorded as regions for hit testing.
+
+    function getFont(size, weight) {
+        return `${weight || 'normal'} ${size}px ${FONT_FAMILY}`;
+    }
+
+    /**
+     * Splits text into lines that fit the given width
+     * @param {CanvasRenderingContext2D} context - Context with the font set
+     * @param {string} text
+     * @param {number} maxWidth - Pixels
+     * @returns {string[]}
+     */
+    function wrapText(context, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && context.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) {
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    function createLayout(context) {
+        return { context: context, y: PADDING, ops: [], regions: [] };
+    }
+
+    /**
+     * Adds wrapped text
+     * @param {Object} layout
+     * @param {string} text
+     * @param {Object} style - { size, weight, color, align }
+     */
+    function addText(layout, text, style) {
+        const lineHeight = Math.round(style.size * 1.3);
+        layout.context.font = getFont(style.size, style.weight);
+        wrapText(layout.context, text, CONTENT_WIDTH).forEach(line => {
+            layout.ops.push({ type: 'text', text: line, font: getFont(style.size, style.weight), color: style.color, align: style.align, y: layout.y + lineHeight / 2 });
+            layout.y += lineHeight;
+        });
+        layout.y += BLOCK_GAP;
+    }
+
+    /**
+     * Adds a full-width button; taps on it run `action` (none for disabled buttons)
+     * @param {Object} layout
+     * @param {string} label
+     * @param {string} styleName - Key of BUTTON_STYLES
+     * @param {string|null} action - e.g. 'option:2', 'check', 'next'
+     * @param {string} [image] - Image-choice thumbnail URL
+     */
+    function addButton(layout, label, styleName, action, image) {
+        const size = 34;
+        const lineHeight = Math.round(size * 1.3);
+        const textX = image ? IMAGE_SIZE + BUTTON_PADDING * 2 : BUTTON_PADDING;
+        layout.context.font = getFont(size, '600');
+        const lines = wrapText(layout.context, label, CONTENT_WIDTH - textX - BUTTON_PADDING);
+        const height = Math.max(lines.length * lineHeight, image ? IMAGE_SIZE : 0) + BUTTON_PADDING * 2;
+
+        layout.ops.push({ type: 'button', style: BUTTON_STYLES[styleName], y: layout.y, height: height });
+        if (image) {
+            layout.ops.push({ type: 'image', url: image, y: layout.y + BUTTON_PADDING });
+        }
+        const textTop = layout.y + (height - lines.length * lineHeight) / 2;
+        lines.forEach((line, index) => {
+            layout.ops.push({
+                type: 'text',
+                text: line,
+                font: getFont(size, '600'),
+                color: BUTTON_STYLES[styleName].text,
+                align: image ? 'left' : 'center',
+                x: image ? PADDING + textX : undefined,
+                y: textTop + index * lineHeight + lineHeight / 2
+            });
+        });
+
+        if (action) {
+            layout.regions.push({ x: PADDING, y: layout.y, width: CONTENT_WIDTH, height: height, action: action });
+        }
+        layout.y += height + BLOCK_GAP / 2;
+    }
+
+    function roundRect(context, x, y, width, height, radius) {
+        context.beginPath();
+        context.moveTo(x + radius, y);
+        context.arcTo(x + width, y, x + width, y + height, radius);
+        context.arcTo(x + width, y + height, x, y + height, radius);
+        context.arcTo(x, y + height, x, y, radius);
+        context.arcTo(x, y, x + width, y, radius);
+        context.closePath();
+    }
+
+    /**
+     * Resizes the canvas to the layout and draws it
+     * @param {Object} layout
+     */
+    function drawLayout(layout) {
+        const height = Math.ceil(layout.y + PADDING);
+        const canvas = panel.canvas;
+        const context = panel.context;
+
+        // A texture can't change size once uploaded, so a resized canvas gets a new one
+        if (canvas.height !== height) {
+            canvas.height = height;
+            panel.texture.dispose();
+            panel.texture = createTexture(canvas);
+            panel.mesh.material.map = panel.texture;
+            panel.mesh.material.needsUpdate = true;
+            panel.mesh.scale.y = height / CANVAS_WIDTH;
+        }
+
+        context.clearRect(0, 0, CANVAS_WIDTH, height);
+        context.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        roundRect(context, 0, 0, CANVAS_WIDTH, height, 40);
+        context.fill();
+
+        context.textBaseline = 'middle';
+        layout.ops.forEach(op => {
+            if (op.type === 'button') {
+                roundRect(context, PADDING, op.y, CONTENT_WIDTH, op.height, 20);
+                context.fillStyle = op.style.fill;
+                context.fill();
+                context.lineWidth = 4;
+                context.strokeStyle = op.style.stroke;
+                context.stroke();
+            } else if (op.type === 'image') {
+                const image = loadImage(op.url);
+                if (image.complete && image.naturalWidth > 0) {
+                    context.drawImage(image, PADDING + BUTTON_PADDING, op.y, IMAGE_SIZE, IMAGE_SIZE);
+                }
+            } else {
+                context.font = op.font;
+                context.fillStyle = op.color;
+                context.textAlign = op.align || 'left';
+                const x = op.x !== undefined ? op.x : (op.align === 'center' ? CANVAS_WIDTH / 2 : PADDING);
+                context.fillText(op.text, x, op.y);
+            }
+        });
+
+        panel.regions = layout.regions;
+        panel.texture.needsUpdate = true;
+    }
+
+    /**
+     * Loads an image-choice picture (the panel is redrawn once it arrives)
+     * @param {string} url
+     * @returns {HTMLImageElement}
+     */
+    function loadImage(url) {
+        if (!images.has(url)) {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                if (panel) {
+                    render();
+                }
+            };
+            image.src = url;
+            images.set(url, image);
+        }
+        return images.get(url);
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+
+    /**
+     * Draws the current question (or the result once the attempt is finished)
+     */
+    function render() {
+        if (!panel) {
+            return;
+        }
+        if (finalResult) {
+            renderResult();
+            return;
+        }
+
+        const question = window.QuizSystem.getCurrentQuestion();
+        if (!question) {
+            return;
+        }
+        const layout = createLayout(panel.context);
+        const answered = question.answer !== null;
+        const isLast = question.index === question.total - 1;
+
+        addText(layout, `${question.title} - Question ${question.index + 1} of ${question.total}`, { size: 26, color: '#6b7280' });
+        addText(layout, question.text, { size: 40, weight: 'bold', color: '#333333' });
+        if (!answered && question.type === 'multi') {
+            addText(layout, 'Tap all that apply, then Check Answer', { size: 28, color: '#6b7280' });
+        } else if (!answered && question.type === 'ordering') {
+            addText(layout, 'Tap the items in order, first to last, then Check Answer', { size: 28, color: '#6b7280' });
+        }
+
+        if (question.type === 'multi') {
+            renderMultiOptions(layout, question, answered);
+        } else if (question.type === 'ordering') {
+            renderOrderingOptions(layout, question, answered);
+        } else {
+            renderChoiceOptions(layout, question, answered);
+        }
+        layout.y += BLOCK_GAP;
+
+        if (lastAnswer) {
+            lastAnswer.feedback.forEach(feedback => {
+                addText(layout, feedback, { size: 28, color: lastAnswer.correct ? '#065f46' : '#991b1b' });
+            });
+            if (!lastAnswer.correct && lastAnswer.feedback.length === 0) {
+                addText(layout, 'That\'s not correct. Please try again.', { size: 28, color: '#991b1b' });
+            }
+        }
+        if (question.explanation) {
+            addText(layout, question.explanation, { size: 28, color: '#1e40af' });
+        }
+
+        if (answered) {
+            addButton(layout, isLast ? 'Finish Quiz' : 'Next', 'primary', isLast ? 'finish' : 'next');
+        } else if (question.type === 'multi') {
+            addButton(layout, 'Check Answer', selection.length > 0 ? 'primary' : 'disabled', selection.length > 0 ? 'check' : null);
+        } else if (question.type === 'ordering') {
+            const complete = selection.length === question.options.length;
+            addButton(layout, 'Check Answer', complete ? 'primary' : 'disabled', complete ? 'check' : null);
+            if (selection.length > 0) {
+                addButton(layout, 'Start Again', 'option', 'clear');
+            }
+        }
+        addButton(layout, 'Close Quiz', 'option', 'close');
+
+        drawLayout(layout);
+    }
+
+    function renderChoiceOptions(layout, question, answered) {
+        question.options.forEach((option, index) => {
+            let style = 'option';
+            let action = answered ? null : `option:${index}`;
+            if (answered && question.answer === index) {
+                style = 'correct';
+            } else if (question.wrongPicks.includes(index)) {
+                // Wrong options stay ruled out
+                style = 'incorrect';
+                action = null;
+            }
+            addButton(layout, option.label, style, action, option.image);
+        });
+    }
+
+    function renderMultiOptions(layout, question, answered) {
+        question.options.forEach((option, index) => {
+            if (answered) {
+                addButton(layout, option.label, question.answer.includes(index) ? 'correct' : 'option', null);
+            } else {
+                addButton(layout, option.label, selection.includes(index) ? 'selected' : 'option', `toggle:${index}`);
+            }
+        });
+    }
+
+    function renderOrderingOptions(layout, question, answered) {
+        if (answered) {
+            question.answer.forEach((optionIndex, position) => {
+                addButton(layout, `${position + 1}. ${question.options[optionIndex].label}`, 'correct', null);
+            });
+            return;
+        }
+        question.options.forEach((option, index) => {
+            const position = selection.indexOf(index);
+            if (position === -1) {
+                addButton(layout, option.label, 'option', `pick:${index}`);
+            } else {
+                addButton(layout, `${position + 1}. ${option.label}`, 'selected', null);
+            }
+        });
+    }
+
+    function renderResult() {
+        const layout = createLayout(panel.context);
+        const passText = finalResult.passMark === null
+            ? 'Quiz complete'
+            : `${finalResult.passed ? 'Passed' : 'Not passed'} - the pass mark is ${finalResult.passMark}%`;
+
+        addText(layout, passText, { size: 44, weight: 'bold', color: finalResult.passed ? '#065f46' : '#991b1b', align: 'center' });
+        addText(layout, `${finalResult.score} / ${finalResult.total}`, { size: 64, weight: 'bold', color: '#4f46e5', align: 'center' });
+        addText(layout, `correct on the first attempt (${finalResult.percent}%)`, { size: 28, color: '#6b7280', align: 'center' });
+        addButton(layout, 'Retake Quiz', 'primary', 'retake');
+        addButton(layout, 'Close Quiz', 'option', 'close');
+        drawLayout(layout);
+    }
+
+    // ============================================================================
+    // INTERACTION
+    // ============================================================================
+
+    /**
+     * Runs a tapped button's action
+     * @param {string} action - Region action, e.g. 'option:2'
+     */
+    async function handleAction(action) {
+        const [name, value] = action.split(':');
+        const index = parseInt(value, 10);
+
+        switch (name) {
+            case 'option':
+                lastAnswer = window.QuizSystem.answerQuestion(index);
+                break;
+            case 'toggle':
+                selection = selection.includes(index) ? selection.filter(item => item !== index) : selection.concat(index);
+                break;
+            case 'pick':
+                selection = selection.concat(index);
+                break;
+            case 'clear':
+                selection = [];
+                break;
+            case 'check': {
+                const type = window.QuizSystem.getCurrentQuestion().type;
+                const answer = type === 'multi' ? selection.slice().sort((a, b) => a - b) : selection.slice();
+                lastAnswer = window.QuizSystem.answerQuestion(answer);
+                // A wrong order is tapped again from the start; wrong picks stay selected to adjust
+                if (lastAnswer.correct || type === 'ordering') {
+                    selection = [];
+                }
+                break;
+            }
+            case 'next':
+                window.QuizSystem.nextQuestion();
+                selection = [];
+                lastAnswer = null;
+                break;
+            case 'finish':
+                finalResult = window.QuizSystem.finishAttempt();
+                break;
+            case 'retake':
+                // A retake is a new attempt, with new questions and order
+                if (!(await window.QuizSystem.startAttempt(quizOptions.quizKey, { scenarioId: quizOptions.scenarioId }))) {
+                    close();
+                    return;
+                }
+                selection = [];
+                lastAnswer = null;
+                finalResult = null;
+                break;
+            case 'close':
+                close();
+                return;
+        }
+        render();
+    }
+
+    /**
+     * Handles a tap while the panel is open
+     * @param {THREE.Vector3} origin - Tap ray origin (reference space)
+     * @param {THREE.Vector3} direction - Tap ray direction (normalized)
+     * @returns {boolean} True if the panel is open (every tap belongs to the quiz then)
+     */
+    function handleSelect(origin, direction) {
+        if (!panel) {
+            return false;
+        }
+        if (!raycaster) {
+            raycaster = new THREE.Raycaster();
+        }
+
+        raycaster.set(origin, direction);
+        const hit = raycaster.intersectObject(panel.mesh, false)[0];
+        if (!hit || !hit.uv) {
+            return true;
+        }
+
+        const x = hit.uv.x * CANVAS_WIDTH;
+        const y = (1 - hit.uv.y) * panel.canvas.height;
+        const region = panel.regions.find(candidate =>
+            x >= candidate.x && x <= candidate.x + candidate.width &&
+            y >= candidate.y && y <= candidate.y + candidate.height
+        );
+        if (region) {
+            handleAction(region.action);
+        }
+        return true;
+    }
+
+    // ============================================================================
+    // PANEL LIFECYCLE
+    // ============================================================================
+
+    function createTexture(canvas) {
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.encoding = THREE.sRGBEncoding;
+        texture.generateMipmaps = false;
+        texture.minFilter = THREE.LinearFilter;
+        return texture;
+    }
+
+    /**
+     * Places the panel beside the target, between it and the viewer
+     * @param {THREE.Vector3} targetPosition - Hazard position
+     * @param {THREE.Vector3} viewerPosition - Viewer position
+     */
+    function placePanel(targetPosition, viewerPosition) {
+        const toViewer = new THREE.Vector3(viewerPosition.x - targetPosition.x, 0, viewerPosition.z - targetPosition.z);
+        const distance = toViewer.length();
+        if (distance < 0.001) {
+            toViewer.set(0, 0, 1);
+        } else {
+            toViewer.divideScalar(distance);
+        }
+        const right = new THREE.Vector3(toViewer.z, 0, -toViewer.x); // Viewer's right when facing the hazard
+
+        panel.mesh.position.copy(targetPosition)
+            .addScaledVector(right, SIDE_OFFSET)
+            .addScaledVector(toViewer, Math.min(MAX_TOWARD_VIEWER, distance * 0.5));
+        panel.mesh.position.y = (targetPosition.y + viewerPosition.y) / 2;
+        update(viewerPosition);
+    }
+
+    /**
+     * Opens a quiz on a panel beside a hazard
+     * @param {Object} options
+     * @param {THREE.Object3D} options.parent - Object to add the panel to (the scene)
+     * @param {THREE.Vector3} options.targetPosition - Hazard position
+     * @param {THREE.Vector3} options.viewerPosition - Viewer position
+     * @param {string} options.quizKey - Quiz to open
+     * @param {string} [options.scenarioId] - Scenario whose completion status is saved
+     * @param {Function} [options.onClose] - Called when the panel is closed
+     * @returns {Promise<boolean>} Whether the quiz was opened
+     */
+    async function open(options) {
+        close();
+        if (!window.QuizSystem || !(await window.QuizSystem.startAttempt(options.quizKey, { scenarioId: options.scenarioId }))) {
+            return false;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = CANVAS_WIDTH;
+        canvas.height = CANVAS_WIDTH;
+        const texture = createTexture(canvas);
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_WIDTH),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false })
+        );
+        mesh.renderOrder = 1000; // Drawn over the hazards
+        mesh.name = 'xr-quiz-panel';
+
+        panel = { mesh: mesh, canvas: canvas, context: canvas.getContext('2d'), texture: texture, regions: [] };
+        quizOptions = { quizKey: options.quizKey, scenarioId: options.scenarioId };
+        closeCallback = typeof options.onClose === 'function' ? options.onClose : null;
+        selection = [];
+        lastAnswer = null;
+        finalResult = null;
+
+        placePanel(options.targetPosition, options.viewerPosition);
+        options.parent.add(mesh);
+        render();
+        return true;
+    }
+
+    /**
+     * Turns the panel to face the viewer (about the vertical axis, so it stays upright)
+     * @param {THREE.Vector3} viewerPosition
+     */
+    function update(viewerPosition) {
+        if (panel) {
+            panel.mesh.lookAt(viewerPosition.x, panel.mesh.position.y, viewerPosition.z);
+        }
+    }
+
+    /**
+     * Removes the panel and forgets the attempt (a finished attempt is already saved)
+     */
+    function close() {
+        if (!panel) {
+            return;
+        }
+        const onClose = closeCallback;
+
+        if (panel.mesh.parent) {
+            panel.mesh.parent.remove(panel.mesh);
+        }
+        panel.mesh.geometry.dispose();
+        panel.mesh.material.dispose();
+        panel.texture.dispose();
+        panel = null;
+        quizOptions = null;
+        closeCallback = null;
+        if (window.QuizSystem) {
+            window.QuizSystem.endAttempt();
+        }
+
+        if (onClose) {
+            onClose();
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.XRQuizPanel = {
+        open: open,
+        close: close,
+        update: update,
+        handleSelect: handleSelect,
+        isOpen: () => panel !== null
+    };
+})();
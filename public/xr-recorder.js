@@ -0,0 +1,496 @@
+// XR Session Recorder and Replay for AR Experience
+// With ?record=1, every frame's viewer pose and hit-test results and every select (tap)
+// are captured from the render loop into a JSON trace that can be downloaded from the
+// start screen when the session ends.
+// With ?replay=1 (load a trace from the start screen) or ?replay=<trace URL>, navigator.xr
+// is replaced by a session that plays the trace back frame by frame through the same
+// render loop and tap handler, so a trainee's session can be reproduced on a desktop.
+//
+// Replay controls: Space pauses/resumes, the right arrow steps one frame while paused.
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    const params = new URLSearchParams(window.location.search);
+    const RECORD_ENABLED = params.get('record') === '1';
+    const REPLAY_SOURCE = params.get('replay'); // '1' (pick a file) or a trace URL
+    const REPLAY_ENABLED = !!REPLAY_SOURCE;
+
+    const TRACE_VERSION = 1;
+    const MAX_FRAMES = 60 * 60 * 5; // About five minutes at 60fps
+    const MATRIX_PRECISION = 10000; // Matrix elements are rounded to 4 decimals
+
+    // Features a replayed session can grant (nothing else is in the trace)
+    const REPLAY_FEATURES = ['local', 'local-floor', 'viewer', 'hit-test', 'dom-overlay'];
+
+    // ============================================================================
+    // DOM ELEMENTS
+    // ============================================================================
+
+    const traceControls = document.getElementById('trace-controls');
+    const downloadButton = document.getElementById('trace-download-button');
+    const loadLabel = document.getElementById('trace-load-label');
+    const fileInput = document.getElementById('trace-file-input');
+    const traceStatus = document.getElementById('trace-status');
+
+    function setStatus(text) {
+        if (traceStatus) {
+            traceStatus.textContent = text;
+        }
+    }
+
+    function setControlsVisible(visible) {
+        if (traceControls) {
+            traceControls.classList.toggle('hidden', !visible);
+        }
+    }
+
+    // ============================================================================
+    // RECORDING
+    // ============================================================================
+
+    let recording = null; // Trace being captured for the current session
+    let lastTrace = null; // Finished trace waiting to be downloaded
+
+    function roundMatrix(matrix) {
+        return Array.from(matrix, value => Math.round(value * MATRIX_PRECISION) / MATRIX_PRECISION);
+    }
+
+    /**
+     * Starts capturing a session. Called once the reference space and hit-test source are set up.
+     * @param {XRSession} session - Session being recorded
+     * @param {Object} info - { referenceSpaceType, hitTest }
+     */
+    function startRecording(session, info) {
+        if (!RECORD_ENABLED || !session) {
+            return;
+        }
+
+        recording = {
+            version: TRACE_VERSION,
+            recordedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            search: window.location.search,
+            referenceSpaceType: info.referenceSpaceType,
+            enabledFeatures: Array.isArray(session.enabledFeatures) ? Array.from(session.enabledFeatures) : [],
+            hitTest: !!info.hitTest,
+            frames: [],
+            selects: []
+        };
+        setControlsVisible(false);
+
+        session.addEventListener('end', () => stopRecording(), { once: true });
+        console.log('Recording XR session trace (?record=1)');
+        if (window.Toast) {
+            window.Toast.info('This session is being recorded. Download the trace from the start screen afterwards.', 'Recording', 4000);
+        }
+    }
+
+    /**
+     * Captures one frame's viewer pose and hit-test results (call from the render loop)
+     * @param {number} timestamp - Frame timestamp
+     * @param {XRFrame} frame - Current XR frame
+     * @param {XRReferenceSpace} referenceSpace - Space poses are reported in
+     * @param {XRHitTestSource|null} hitTestSource - Session's hit-test source
+     */
+    function recordFrame(timestamp, frame, referenceSpace, hitTestSource) {
+        if (!recording) {
+            return;
+        }
+        if (recording.frames.length >= MAX_FRAMES) {
+            console.warn('XR trace reached its frame limit - recording stopped');
+            stopRecording();
+            return;
+        }
+
+        const viewerPose = frame.getViewerPose(referenceSpace);
+        const hits = [];
+        if (hitTestSource) {
+            try {
+                frame.getHitTestResults(hitTestSource).forEach((result) => {
+                    const pose = result.getPose(referenceSpace);
+                    if (pose) {
+                        hits.push(roundMatrix(pose.transform.matrix));
+                    }
+                });
+            } catch (error) {
+                // Same failure the render loop sees - record the frame without hits
+            }
+        }
+
+        recording.frames.push({
+            t: Math.round(timestamp * 10) / 10,
+            viewer: viewerPose ? roundMatrix(viewerPose.transform.matrix) : null,
+            hits: hits
+        });
+    }
+
+    /**
+     * Captures a select (tap). It is replayed just before the next recorded frame,
+     * which is where a real session dispatches it.
+     */
+    function recordSelect() {
+        if (!recording) {
+            return;
+        }
+        recording.selects.push({ frame: recording.frames.length });
+    }
+
+    function stopRecording() {
+        if (!recording) {
+            return;
+        }
+        lastTrace = recording;
+        recording = null;
+        console.log(`XR trace recorded: ${lastTrace.frames.length} frames, ${lastTrace.selects.length} taps`);
+
+        if (downloadButton) {
+            downloadButton.classList.remove('hidden');
+        }
+        setStatus(`Last session: ${lastTrace.frames.length} frames, ${lastTrace.selects.length} taps`);
+        setControlsVisible(true);
+    }
+
+    function downloadTrace() {
+        if (!lastTrace) {
+            return;
+        }
+        const blob = new Blob([JSON.stringify(lastTrace)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `xr-trace-${lastTrace.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ============================================================================
+    // REPLAY ENVIRONMENT
+    // ============================================================================
+
+    /**
+     * Builds a backdrop for the replay: a floor grid, the recorded hit points
+     * (which outline the surfaces the device saw) and the path the viewer walked.
+     * @param {Object} trace - Loaded trace
+     * @returns {THREE.Group}
+     */
+    function createReplayEnvironment(trace) {
+        const group = new THREE.Group();
+        group.name = 'xr-replay-backdrop';
+
+        const matrix = new THREE.Matrix4();
+        const hitPoints = [];
+        const pathPoints = [];
+        trace.frames.forEach((frame) => {
+            if (frame.viewer) {
+                pathPoints.push(new THREE.Vector3().setFromMatrixPosition(matrix.fromArray(frame.viewer)));
+            }
+            frame.hits.forEach((hit) => {
+                hitPoints.push(new THREE.Vector3().setFromMatrixPosition(matrix.fromArray(hit)));
+            });
+        });
+
+        // Floor grid at the lowest hit (floor level in 'local-floor', unknown in 'local')
+        const floorY = hitPoints.reduce((lowest, point) => Math.min(lowest, point.y), hitPoints.length > 0 ? Infinity : 0);
+        const grid = new THREE.GridHelper(10, 40, 0x666666, 0x444444);
+        grid.position.y = floorY;
+        group.add(grid);
+
+        if (hitPoints.length > 0) {
+            const hitGeometry = new THREE.BufferGeometry().setFromPoints(hitPoints);
+            group.add(new THREE.Points(hitGeometry, new THREE.PointsMaterial({ color: 0x4caf50, size: 0.02 })));
+        }
+        if (pathPoints.length > 1) {
+            const pathGeometry = new THREE.BufferGeometry().setFromPoints(pathPoints);
+            group.add(new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({ color: 0xffc107 })));
+        }
+
+        return group;
+    }
+
+    // ============================================================================
+    // REPLAY SESSION
+    // ============================================================================
+
+    function createTransform(elements) {
+        const matrix = new THREE.Matrix4().fromArray(elements);
+        const position = new THREE.Vector3();
+        const orientation = new THREE.Quaternion();
+        matrix.decompose(position, orientation, new THREE.Vector3());
+        return {
+            position: { x: position.x, y: position.y, z: position.z, w: 1 },
+            orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w },
+            matrix: new Float32Array(elements)
+        };
+    }
+
+    /**
+     * Plays a trace back as an XR session. Like the ?simulate=1 session it is rendered by
+     * main-webxr.js's onSimulatedFrame, so frames reach onXRFrame and taps reach the
+     * select handler unchanged.
+     */
+    class ReplayXRSession extends EventTarget {
+        constructor(trace, enabledFeatures) {
+            super();
+            this.isSimulated = true;
+            this.enabledFeatures = enabledFeatures;
+            this.environment = createReplayEnvironment(trace);
+            this.renderState = { baseLayer: null };
+            this.ended = false;
+
+            this.trace = trace;
+            this.frameIndex = 0;
+            this.paused = false;
+            this.stepRequested = false;
+            this.finished = false;
+            this.selectsByFrame = new Map();
+            trace.selects.forEach((select) => {
+                this.selectsByFrame.set(select.frame, (this.selectsByFrame.get(select.frame) || 0) + 1);
+            });
+
+            this.onKeyDown = this.onKeyDown.bind(this);
+            window.addEventListener('keydown', this.onKeyDown);
+        }
+
+        requestReferenceSpace(type) {
+            if (type !== 'viewer' && type !== this.trace.referenceSpaceType) {
+                return Promise.reject(new DOMException(`Reference space "${type}" was not recorded`, 'NotSupportedError'));
+            }
+            return Promise.resolve({ type: type });
+        }
+
+        requestHitTestSource(options) {
+            return Promise.resolve({ space: options && options.space, cancel() {} });
+        }
+
+        updateRenderState(state) {
+            Object.assign(this.renderState, state);
+        }
+
+        end() {
+            if (this.ended) {
+                return Promise.resolve();
+            }
+            this.ended = true;
+            window.removeEventListener('keydown', this.onKeyDown);
+            this.dispatchEvent(new Event('end'));
+            console.log('Replay XR session ended');
+            return Promise.resolve();
+        }
+
+        /**
+         * Returns the next recorded frame (the last one is held once the trace ends).
+         * Taps recorded before that frame are dispatched as select events first.
+         * @returns {Object} XRFrame-like object
+         */
+        beginFrame() {
+            const frames = this.trace.frames;
+            const advance = !this.paused || this.stepRequested;
+            this.stepRequested = false;
+
+            if (!advance || this.finished) {
+                // Hold the frame shown last
+                return this.createFrame(frames[Math.max(0, Math.min(this.frameIndex, frames.length) - 1)]);
+            }
+
+            const frame = this.createFrame(frames[this.frameIndex]);
+
+            const selects = this.selectsByFrame.get(this.frameIndex) || 0;
+            for (let i = 0; i < selects; i++) {
+                ['selectstart', 'select', 'selectend'].forEach((type) => {
+                    const event = new Event(type);
+                    event.frame = frame;
+                    event.inputSource = { targetRayMode: 'screen' };
+                    this.dispatchEvent(event);
+                });
+            }
+
+            this.frameIndex++;
+            if (this.frameIndex >= frames.length) {
+                this.finished = true;
+                console.log('Replay finished');
+                if (window.Toast) {
+                    window.Toast.info('The trace has finished. Close AR to return to the start screen.', 'Replay Finished', 4000);
+                }
+            }
+            return frame;
+        }
+
+        createFrame(recorded) {
+            const viewerTransform = recorded.viewer ? createTransform(recorded.viewer) : null;
+            const viewerPose = viewerTransform
+                ? { transform: viewerTransform, views: [{ eye: 'none', transform: viewerTransform }] }
+                : null;
+            const hits = recorded.hits.map(hit => ({ transform: createTransform(hit) }));
+
+            return {
+                session: this,
+                predictedDisplayTime: recorded.t,
+                getViewerPose() {
+                    return viewerPose;
+                },
+                getPose(space) {
+                    return space && space.type === 'viewer' ? viewerPose : { transform: createTransform(new THREE.Matrix4().elements) };
+                },
+                getHitTestResults() {
+                    return hits.map(pose => ({ getPose: () => pose }));
+                }
+            };
+        }
+
+        onKeyDown(event) {
+            if (event.code === 'Space') {
+                event.preventDefault();
+                this.paused = !this.paused;
+                console.log(this.paused ? `Replay paused at frame ${this.frameIndex}` : 'Replay resumed');
+            } else if (event.code === 'ArrowRight' && this.paused) {
+                this.stepRequested = true;
+            }
+        }
+    }
+
+    // ============================================================================
+    // TRACE LOADING
+    // ============================================================================
+
+    let replayTrace = null;
+
+    /**
+     * Checks a parsed trace and keeps it for the next session
+     * @param {Object} trace - Parsed trace JSON
+     * @param {string} name - File name or URL (for messages)
+     */
+    function useTrace(trace, name) {
+        if (!trace || trace.version !== TRACE_VERSION || !Array.isArray(trace.frames) || trace.frames.length === 0) {
+            throw new Error(`${name} is not a version ${TRACE_VERSION} XR trace with frames`);
+        }
+        trace.selects = Array.isArray(trace.selects) ? trace.selects : [];
+        replayTrace = trace;
+        setStatus(`Loaded ${name}: ${trace.frames.length} frames, ${trace.selects.length} taps`);
+        console.log(`XR trace loaded from ${name} (recorded ${trace.recordedAt} on ${trace.userAgent})`);
+    }
+
+    function reportLoadError(error) {
+        console.error('Failed to load XR trace:', error);
+        setStatus('No trace loaded');
+        if (window.Toast) {
+            window.Toast.error(error.message, 'Trace Not Loaded', 6000);
+        }
+    }
+
+    async function loadTraceFromURL(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status}`);
+            }
+            useTrace(await response.json(), url);
+        } catch (error) {
+            reportLoadError(error);
+        }
+    }
+
+    function loadTraceFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                useTrace(JSON.parse(reader.result), file.name);
+            } catch (error) {
+                reportLoadError(error);
+            }
+        };
+        reader.onerror = () => reportLoadError(reader.error);
+        reader.readAsText(file);
+    }
+
+    // ============================================================================
+    // NAVIGATOR.XR REPLACEMENT
+    // ============================================================================
+
+    const replayXR = {
+        isSessionSupported(mode) {
+            return Promise.resolve(mode === 'immersive-ar');
+        },
+
+        requestSession(mode, options = {}) {
+            if (mode !== 'immersive-ar') {
+                return Promise.reject(new DOMException(`Session mode "${mode}" is not replayed`, 'NotSupportedError'));
+            }
+            if (!replayTrace) {
+                return Promise.reject(new DOMException('Load a session trace before starting the replay', 'InvalidStateError'));
+            }
+
+            const required = options.requiredFeatures || [];
+            const unsupported = required.filter(feature => !REPLAY_FEATURES.includes(feature));
+            if (unsupported.length > 0) {
+                return Promise.reject(new DOMException(`Required features not replayed: ${unsupported.join(', ')}`, 'NotSupportedError'));
+            }
+
+            const requested = required.concat(options.optionalFeatures || []);
+            const enabledFeatures = requested.filter((feature, index) =>
+                REPLAY_FEATURES.includes(feature) && requested.indexOf(feature) === index &&
+                (feature !== 'hit-test' || replayTrace.hitTest)
+            );
+
+            const session = new ReplayXRSession(replayTrace, enabledFeatures);
+            session.addEventListener('end', () => setControlsVisible(true), { once: true });
+            setControlsVisible(false);
+            console.log('Replaying XR trace with features:', enabledFeatures);
+            return Promise.resolve(session);
+        }
+    };
+
+    // ============================================================================
+    // SETUP
+    // ============================================================================
+
+    if (REPLAY_ENABLED) {
+        Object.defineProperty(navigator, 'xr', {
+            configurable: true,
+            get: () => replayXR
+        });
+        console.log('XR replay enabled (?replay) - Space pauses, right arrow steps while paused');
+
+        setStatus('No trace loaded');
+        setControlsVisible(true);
+        if (REPLAY_SOURCE === '1') {
+            if (loadLabel) {
+                loadLabel.classList.remove('hidden');
+            }
+            if (fileInput) {
+                fileInput.addEventListener('change', () => {
+                    if (fileInput.files && fileInput.files[0]) {
+                        loadTraceFromFile(fileInput.files[0]);
+                    }
+                    fileInput.value = '';
+                });
+            }
+        } else {
+            loadTraceFromURL(REPLAY_SOURCE);
+        }
+    }
+
+    if (RECORD_ENABLED && downloadButton) {
+        downloadButton.addEventListener('click', downloadTrace);
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.XRRecorder = {
+        isRecording: () => recording !== null,
+        isReplaying: () => REPLAY_ENABLED,
+        startRecording: startRecording,
+        recordFrame: recordFrame,
+        recordSelect: recordSelect,
+        stopRecording: stopRecording,
+        downloadTrace: downloadTrace
+    };
+})();
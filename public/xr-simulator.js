@@ -0,0 +1,435 @@
+// WebXR Simulator for AR Experience
+// With ?simulate=1, replaces navigator.xr with a synthetic immersive-ar session so the
+// render loop, hit-testing, auto-spawn and gaze detection can be exercised on a laptop.
+//
+// Controls: W/A/S/D or arrow keys move, Q/E lower/raise the viewer, drag the mouse to look
+// around, click (or press Space) to tap - the same as tapping the screen on a phone.
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    const ENABLED = new URLSearchParams(window.location.search).get('simulate') === '1';
+
+    // Features the simulated session can grant; anything else requested as optional is dropped
+    const SUPPORTED_FEATURES = ['local', 'local-floor', 'viewer', 'hit-test', 'dom-overlay'];
+
+    const ROOM_WIDTH = 4; // X extent (m)
+    const ROOM_DEPTH = 5; // Z extent (m)
+    const ROOM_HEIGHT = 2.6;
+    const DESK = { center: [1.2, 0.75, -1.6], size: [1.2, 0.6] }; // Desk top (an 'elevated' surface)
+    const START_POSITION = [0, 1.5, 1.2]; // Viewer starts standing near the front wall
+    const MOVE_SPEED = 1.5; // m/s
+    const LOOK_SPEED = 0.004; // Radians per pixel of mouse drag
+    const MAX_HIT_DISTANCE = 10;
+    const CLICK_MAX_MOVEMENT = 5; // Pixels a click may move before it counts as a drag
+
+    // ============================================================================
+    // MOCK ROOM
+    // ============================================================================
+
+    /**
+     * Rectangles that hit-test rays can hit. Normals point into the room.
+     * Each has a centre, normal, two in-plane axes (u, v) and half sizes along them.
+     */
+    const SURFACES = [
+        { name: 'floor', center: [0, 0, 0], normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1], halfU: ROOM_WIDTH / 2, halfV: ROOM_DEPTH / 2 },
+        { name: 'ceiling', center: [0, ROOM_HEIGHT, 0], normal: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1], halfU: ROOM_WIDTH / 2, halfV: ROOM_DEPTH / 2 },
+        { name: 'back wall', center: [0, ROOM_HEIGHT / 2, -ROOM_DEPTH / 2], normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0], halfU: ROOM_WIDTH / 2, halfV: ROOM_HEIGHT / 2 },
+        { name: 'front wall', center: [0, ROOM_HEIGHT / 2, ROOM_DEPTH / 2], normal: [0, 0, -1], u: [1, 0, 0], v: [0, 1, 0], halfU: ROOM_WIDTH / 2, halfV: ROOM_HEIGHT / 2 },
+        { name: 'left wall', center: [-ROOM_WIDTH / 2, ROOM_HEIGHT / 2, 0], normal: [1, 0, 0], u: [0, 0, 1], v: [0, 1, 0], halfU: ROOM_DEPTH / 2, halfV: ROOM_HEIGHT / 2 },
+        { name: 'right wall', center: [ROOM_WIDTH / 2, ROOM_HEIGHT / 2, 0], normal: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0], halfU: ROOM_DEPTH / 2, halfV: ROOM_HEIGHT / 2 },
+        { name: 'desk', center: DESK.center, normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1], halfU: DESK.size[0] / 2, halfV: DESK.size[1] / 2 }
+    ].map(surface => ({
+        name: surface.name,
+        center: new THREE.Vector3().fromArray(surface.center),
+        normal: new THREE.Vector3().fromArray(surface.normal),
+        u: new THREE.Vector3().fromArray(surface.u),
+        v: new THREE.Vector3().fromArray(surface.v),
+        halfU: surface.halfU,
+        halfV: surface.halfV
+    }));
+
+    /**
+     * Builds a visible version of the room, standing in for the camera feed
+     * @returns {THREE.Group}
+     */
+    function createEnvironment() {
+        const group = new THREE.Group();
+        group.name = 'xr-simulator-room';
+
+        const wallMaterial = new THREE.MeshBasicMaterial({ color: 0xd8d4cc });
+        const floorMaterial = new THREE.MeshBasicMaterial({ color: 0x8c857a });
+
+        SURFACES.forEach((surface) => {
+            if (surface.name === 'desk') {
+                return;
+            }
+            const geometry = new THREE.PlaneGeometry(surface.halfU * 2, surface.halfV * 2);
+            const mesh = new THREE.Mesh(geometry, surface.name === 'floor' ? floorMaterial : wallMaterial);
+            // PlaneGeometry faces +Z with width along X and height along Y - map those to normal, u and v
+            const x = surface.u.clone();
+            const z = surface.normal.clone();
+            const y = new THREE.Vector3().crossVectors(z, x);
+            mesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+            mesh.position.copy(surface.center);
+            group.add(mesh);
+
+            const edges = new THREE.LineSegments(
+                new THREE.EdgesGeometry(geometry),
+                new THREE.LineBasicMaterial({ color: 0x5f5a52 })
+            );
+            edges.quaternion.copy(mesh.quaternion);
+            edges.position.copy(mesh.position);
+            group.add(edges);
+        });
+
+        const grid = new THREE.GridHelper(Math.max(ROOM_WIDTH, ROOM_DEPTH), 20, 0x6b655c, 0x7a7469);
+        grid.position.y = 0.002;
+        group.add(grid);
+
+        const desk = new THREE.Mesh(
+            new THREE.BoxGeometry(DESK.size[0], DESK.center[1], DESK.size[1]),
+            new THREE.MeshBasicMaterial({ color: 0x8d6e63 })
+        );
+        desk.position.set(DESK.center[0], DESK.center[1] / 2, DESK.center[2]);
+        group.add(desk);
+
+        return group;
+    }
+
+    // ============================================================================
+    // POSES
+    // ============================================================================
+
+    /**
+     * Creates an XRRigidTransform-like object from a matrix
+     * @param {THREE.Matrix4} matrix
+     * @returns {Object} { position, orientation, matrix }
+     */
+    function createTransform(matrix) {
+        const position = new THREE.Vector3();
+        const orientation = new THREE.Quaternion();
+        matrix.decompose(position, orientation, new THREE.Vector3());
+        return {
+            position: { x: position.x, y: position.y, z: position.z, w: 1 },
+            orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w },
+            matrix: new Float32Array(matrix.elements)
+        };
+    }
+
+    /**
+     * Builds a hit pose like a real hit-test: +Y is the surface normal.
+     * On walls +Z points down (so wall content stands upright), elsewhere towards the viewer.
+     * @param {THREE.Vector3} point - Hit point
+     * @param {THREE.Vector3} normal - Surface normal
+     * @param {THREE.Vector3} viewerPosition - Viewer position
+     * @returns {Object} XRPose-like object
+     */
+    function createHitPose(point, normal, viewerPosition) {
+        const y = normal.clone();
+        let z;
+        if (Math.abs(normal.y) > 0.9) {
+            z = viewerPosition.clone().sub(point);
+            z.addScaledVector(y, -z.dot(y));
+            if (z.lengthSq() < 1e-6) {
+                z.set(0, 0, 1);
+            }
+            z.normalize();
+        } else {
+            z = new THREE.Vector3(0, -1, 0);
+        }
+        const x = new THREE.Vector3().crossVectors(y, z).normalize();
+        const matrix = new THREE.Matrix4().makeBasis(x, y, z).setPosition(point);
+        return { transform: createTransform(matrix) };
+    }
+
+    // ============================================================================
+    // SIMULATED SESSION
+    // ============================================================================
+
+    class SimulatedXRSession extends EventTarget {
+        constructor(enabledFeatures) {
+            super();
+            this.isSimulated = true;
+            this.enabledFeatures = enabledFeatures;
+            this.environment = createEnvironment();
+            this.renderState = { baseLayer: null };
+            this.ended = false;
+
+            this.viewerPosition = new THREE.Vector3().fromArray(START_POSITION);
+            this.yaw = 0;
+            this.pitch = -0.35; // Looking slightly down so the floor is hit first
+            this.keysDown = new Set();
+            this.pendingSelects = 0;
+            this.lastTimestamp = 0;
+            this.pointer = null; // Last and starting pointer positions while the mouse button is down
+
+            this.onKeyDown = this.onKeyDown.bind(this);
+            this.onKeyUp = this.onKeyUp.bind(this);
+            this.onPointerDown = this.onPointerDown.bind(this);
+            this.onPointerMove = this.onPointerMove.bind(this);
+            this.onPointerUp = this.onPointerUp.bind(this);
+            window.addEventListener('keydown', this.onKeyDown);
+            window.addEventListener('keyup', this.onKeyUp);
+            window.addEventListener('pointerdown', this.onPointerDown, true);
+            window.addEventListener('pointermove', this.onPointerMove, true);
+            window.addEventListener('pointerup', this.onPointerUp, true);
+        }
+
+        requestReferenceSpace(type) {
+            if (!SUPPORTED_FEATURES.includes(type)) {
+                return Promise.reject(new DOMException(`Reference space "${type}" is not simulated`, 'NotSupportedError'));
+            }
+            return Promise.resolve({ type: type });
+        }
+
+        requestHitTestSource(options) {
+            return Promise.resolve({ space: options && options.space, cancel() {} });
+        }
+
+        updateRenderState(state) {
+            Object.assign(this.renderState, state);
+        }
+
+        end() {
+            if (this.ended) {
+                return Promise.resolve();
+            }
+            this.ended = true;
+            window.removeEventListener('keydown', this.onKeyDown);
+            window.removeEventListener('keyup', this.onKeyUp);
+            window.removeEventListener('pointerdown', this.onPointerDown, true);
+            window.removeEventListener('pointermove', this.onPointerMove, true);
+            window.removeEventListener('pointerup', this.onPointerUp, true);
+            this.dispatchEvent(new Event('end'));
+            console.log('Simulated XR session ended');
+            return Promise.resolve();
+        }
+
+        /**
+         * Advances the simulation and returns the frame for this timestamp.
+         * Taps made since the last frame are dispatched as select events first, like a real session.
+         * @param {number} timestamp - Animation frame timestamp
+         * @returns {Object} XRFrame-like object
+         */
+        beginFrame(timestamp) {
+            const deltaSeconds = this.lastTimestamp > 0 ? Math.min((timestamp - this.lastTimestamp) / 1000, 0.1) : 0;
+            this.lastTimestamp = timestamp;
+            this.updateViewer(deltaSeconds);
+
+            const frame = this.createFrame();
+            while (this.pendingSelects > 0) {
+                this.pendingSelects--;
+                ['selectstart', 'select', 'selectend'].forEach((type) => {
+                    const event = new Event(type);
+                    event.frame = frame;
+                    event.inputSource = { targetRayMode: 'screen' };
+                    this.dispatchEvent(event);
+                });
+            }
+            return frame;
+        }
+
+        createFrame() {
+            const session = this;
+            const viewerMatrix = new THREE.Matrix4().compose(
+                this.viewerPosition,
+                new THREE.Quaternion().setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ')),
+                new THREE.Vector3(1, 1, 1)
+            );
+            const viewerTransform = createTransform(viewerMatrix);
+            const viewerPose = {
+                transform: viewerTransform,
+                views: [{ eye: 'none', transform: viewerTransform }]
+            };
+
+            return {
+                session: session,
+                getViewerPose() {
+                    return viewerPose;
+                },
+                getPose(space) {
+                    return space && space.type === 'viewer' ? viewerPose : { transform: createTransform(new THREE.Matrix4()) };
+                },
+                getHitTestResults() {
+                    const hit = session.castViewerRay(viewerMatrix);
+                    return hit ? [{ getPose: () => hit.pose }] : [];
+                }
+            };
+        }
+
+        /**
+         * Casts a ray along the viewer's forward axis against the mock room
+         * @param {THREE.Matrix4} viewerMatrix - Viewer pose
+         * @returns {Object|null} { surface, pose } for the nearest hit
+         */
+        castViewerRay(viewerMatrix) {
+            const origin = new THREE.Vector3().setFromMatrixPosition(viewerMatrix);
+            const direction = new THREE.Vector3(0, 0, -1).transformDirection(viewerMatrix);
+            let nearest = null;
+            let nearestDistance = MAX_HIT_DISTANCE;
+
+            SURFACES.forEach((surface) => {
+                const denominator = direction.dot(surface.normal);
+                if (denominator >= 0) {
+                    return; // Parallel, or the back of the surface
+                }
+                const distance = surface.center.clone().sub(origin).dot(surface.normal) / denominator;
+                if (distance <= 0 || distance >= nearestDistance) {
+                    return;
+                }
+                const point = origin.clone().addScaledVector(direction, distance);
+                const local = point.clone().sub(surface.center);
+                if (Math.abs(local.dot(surface.u)) > surface.halfU || Math.abs(local.dot(surface.v)) > surface.halfV) {
+                    return;
+                }
+                nearestDistance = distance;
+                nearest = { surface: surface, point: point };
+            });
+
+            if (!nearest) {
+                return null;
+            }
+            return { surface: nearest.surface, pose: createHitPose(nearest.point, nearest.surface.normal, origin) };
+        }
+
+        /**
+         * Moves the viewer from the keys held down, staying inside the room
+         * @param {number} deltaSeconds - Time since the last frame
+         */
+        updateViewer(deltaSeconds) {
+            const move = new THREE.Vector3();
+            if (this.keysDown.has('KeyW') || this.keysDown.has('ArrowUp')) move.z -= 1;
+            if (this.keysDown.has('KeyS') || this.keysDown.has('ArrowDown')) move.z += 1;
+            if (this.keysDown.has('KeyA') || this.keysDown.has('ArrowLeft')) move.x -= 1;
+            if (this.keysDown.has('KeyD') || this.keysDown.has('ArrowRight')) move.x += 1;
+            if (this.keysDown.has('KeyE')) move.y += 1;
+            if (this.keysDown.has('KeyQ')) move.y -= 1;
+            if (move.lengthSq() === 0 || deltaSeconds === 0) {
+                return;
+            }
+
+            // Walk relative to the way the viewer faces (ignoring pitch)
+            move.normalize().multiplyScalar(MOVE_SPEED * deltaSeconds);
+            move.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
+            this.viewerPosition.add(move);
+
+            const margin = 0.2;
+            this.viewerPosition.x = THREE.MathUtils.clamp(this.viewerPosition.x, -ROOM_WIDTH / 2 + margin, ROOM_WIDTH / 2 - margin);
+            this.viewerPosition.y = THREE.MathUtils.clamp(this.viewerPosition.y, margin, ROOM_HEIGHT - margin);
+            this.viewerPosition.z = THREE.MathUtils.clamp(this.viewerPosition.z, -ROOM_DEPTH / 2 + margin, ROOM_DEPTH / 2 - margin);
+        }
+
+        // ------------------------------------------------------------------------
+        // Input
+        // ------------------------------------------------------------------------
+
+        isUIEvent(event) {
+            const target = event.target;
+            return !!(target && target.closest && target.closest('button, input, label, a, .quiz-view, .tutorial-overlay'));
+        }
+
+        onKeyDown(event) {
+            if (event.target && event.target.closest && event.target.closest('input, textarea')) {
+                return;
+            }
+            if (event.code === 'Space') {
+                event.preventDefault();
+                if (!event.repeat) {
+                    this.pendingSelects++;
+                }
+                return;
+            }
+            this.keysDown.add(event.code);
+        }
+
+        onKeyUp(event) {
+            this.keysDown.delete(event.code);
+        }
+
+        onPointerDown(event) {
+            if (this.isUIEvent(event)) {
+                return;
+            }
+            this.pointer = { x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY };
+        }
+
+        onPointerMove(event) {
+            if (!this.pointer) {
+                return;
+            }
+            this.yaw -= (event.clientX - this.pointer.x) * LOOK_SPEED;
+            this.pitch -= (event.clientY - this.pointer.y) * LOOK_SPEED;
+            this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+            this.pointer.x = event.clientX;
+            this.pointer.y = event.clientY;
+        }
+
+        onPointerUp(event) {
+            if (!this.pointer) {
+                return;
+            }
+            const moved = Math.hypot(event.clientX - this.pointer.startX, event.clientY - this.pointer.startY);
+            this.pointer = null;
+            if (moved > CLICK_MAX_MOVEMENT) {
+                return; // Drag to look around, not a tap
+            }
+
+            // Like a real dom-overlay session, the page can cancel taps on its UI
+            const beforeSelect = new Event('beforexrselect', { bubbles: true, cancelable: true });
+            if (event.target && event.target.dispatchEvent && !event.target.dispatchEvent(beforeSelect)) {
+                return;
+            }
+            this.pendingSelects++;
+        }
+    }
+
+    // ============================================================================
+    // NAVIGATOR.XR REPLACEMENT
+    // ============================================================================
+
+    const simulatedXR = {
+        isSessionSupported(mode) {
+            return Promise.resolve(mode === 'immersive-ar');
+        },
+
+        requestSession(mode, options = {}) {
+            if (mode !== 'immersive-ar') {
+                return Promise.reject(new DOMException(`Session mode "${mode}" is not simulated`, 'NotSupportedError'));
+            }
+
+            const required = options.requiredFeatures || [];
+            const unsupported = required.filter(feature => !SUPPORTED_FEATURES.includes(feature));
+            if (unsupported.length > 0) {
+                return Promise.reject(new DOMException(`Required features not simulated: ${unsupported.join(', ')}`, 'NotSupportedError'));
+            }
+
+            const requested = required.concat(options.optionalFeatures || []);
+            const enabledFeatures = requested.filter((feature, index) =>
+                SUPPORTED_FEATURES.includes(feature) && requested.indexOf(feature) === index
+            );
+            console.log('Simulated XR session started with features:', enabledFeatures);
+            return Promise.resolve(new SimulatedXRSession(enabledFeatures));
+        }
+    };
+
+    if (ENABLED) {
+        Object.defineProperty(navigator, 'xr', {
+            configurable: true,
+            get: () => simulatedXR
+        });
+        console.log('XR simulator enabled (?simulate=1) - WASD/arrows move, Q/E down/up, drag to look, click or Space to tap');
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    window.XRSimulator = {
+        isEnabled: () => ENABLED
+    };
+})();